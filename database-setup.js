@@ -4,6 +4,14 @@
 require('dotenv').config();
 const { Pool } = require('pg');
 
+// Question types accepted by the questions.question_type CHECK constraint
+const QUESTION_TYPES = ['curated', 'multiple', 'multiselect', 'likert', 'nps', 'text', 'number', 'date', 'email', 'phone', 'yesno', 'ranking', 'matrix', 'photo', 'document', 'location'];
+const questionTypeCheck = `question_type IN (${QUESTION_TYPES.map(type => `'${type}'`).join(', ')})`;
+
+// Conversation stages accepted by the sessions.stage CHECK constraint
+const SESSION_STAGES = ['initial', 'language', 'consent', 'screening', 'survey', 'followup', 'voice_confirmation', 'completed', 'declined', 'disqualified', 'over_quota', 'abandoned', 'opted_out'];
+const sessionStageCheck = `stage IN (${SESSION_STAGES.map(stage => `'${stage}'`).join(', ')})`;
+
 // Database connection configuration
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -32,6 +40,17 @@ async function runDatabaseSetup() {
         title VARCHAR(500) NOT NULL CHECK (length(trim(title)) > 0),
         description TEXT DEFAULT '',
         estimated_time VARCHAR(50) DEFAULT '3-5 minutes',
+        goal TEXT,
+        languages JSONB DEFAULT '["en"]',
+        translations JSONB DEFAULT '{}',
+        randomization JSONB DEFAULT '{}',
+        consent JSONB,
+        screening JSONB,
+        quotas JSONB,
+        reminders JSONB DEFAULT '{}',
+        keyword VARCHAR(30),
+        commands JSONB DEFAULT '{}',
+        messages JSONB DEFAULT '{}',
         participant_prefix VARCHAR(20) NOT NULL CHECK (length(trim(participant_prefix)) > 0),
         is_active BOOLEAN DEFAULT FALSE,
         participant_counter INTEGER DEFAULT 0,
@@ -49,11 +68,27 @@ async function runDatabaseSetup() {
         phone_number VARCHAR(50) UNIQUE NOT NULL CHECK (length(trim(phone_number)) > 0),
         participant_code VARCHAR(50) UNIQUE NOT NULL CHECK (length(trim(participant_code)) > 0),
         first_survey_id VARCHAR(50) REFERENCES surveys(id),
+        attributes JSONB DEFAULT '{}',
+        survey_menu JSONB,
         created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
       )
     `);
     console.log('✅ Participants table created\n');
 
+    // Media attached to questions and files sent as answers are stored alongside the survey data
+    console.log('Creating media_files table...');
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS media_files (
+        id SERIAL PRIMARY KEY,
+        filename VARCHAR(255) NOT NULL CHECK (length(trim(filename)) > 0),
+        mimetype VARCHAR(100) NOT NULL,
+        size_bytes INTEGER NOT NULL CHECK (size_bytes > 0),
+        data BYTEA NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Media_files table created\n');
+
     // 3. Create questions table
     console.log('Creating questions table...');
     await client.query(`
@@ -61,10 +96,15 @@ async function runDatabaseSetup() {
         id SERIAL PRIMARY KEY,
         survey_id VARCHAR(50) NOT NULL REFERENCES surveys(id) ON DELETE CASCADE,
         question_number INTEGER NOT NULL CHECK (question_number > 0),
-        question_type VARCHAR(50) NOT NULL CHECK (question_type IN ('curated', 'multiple', 'likert', 'text')),
+        question_type VARCHAR(50) NOT NULL CHECK (${questionTypeCheck}),
         question_text TEXT NOT NULL CHECK (length(trim(question_text)) > 0),
         options JSONB,
         scale JSONB,
+        settings JSONB,
+        routing JSONB,
+        follow_up JSONB,
+        translations JSONB DEFAULT '{}',
+        media_id INTEGER REFERENCES media_files(id) ON DELETE SET NULL,
         created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
         UNIQUE(survey_id, question_number)
       )
@@ -83,6 +123,13 @@ async function runDatabaseSetup() {
         completed_at TIMESTAMP WITH TIME ZONE,
         is_completed BOOLEAN DEFAULT FALSE,
         completion_duration_seconds INTEGER CHECK (completion_duration_seconds >= 0),
+        consent_status VARCHAR(20) CHECK (consent_status IN ('agreed', 'declined')),
+        consent_at TIMESTAMP WITH TIME ZONE,
+        consent_version VARCHAR(100),
+        consent_text TEXT,
+        screening_answers JSONB DEFAULT '[]',
+        disqualified_at TIMESTAMP WITH TIME ZONE,
+        over_quota_at TIMESTAMP WITH TIME ZONE,
         UNIQUE(survey_id, participant_id),
         UNIQUE(survey_id, participant_survey_code)
       )
@@ -98,8 +145,12 @@ async function runDatabaseSetup() {
         survey_id VARCHAR(50) NOT NULL REFERENCES surveys(id) ON DELETE CASCADE,
         participant_id INTEGER NOT NULL REFERENCES participants(id) ON DELETE CASCADE,
         current_question INTEGER DEFAULT 0 CHECK (current_question >= 0),
-        stage VARCHAR(50) DEFAULT 'initial' CHECK (stage IN ('initial', 'survey', 'followup', 'voice_confirmation', 'completed')),
+        stage VARCHAR(50) DEFAULT 'initial' CHECK (${sessionStageCheck}),
+        language VARCHAR(10),
         session_data JSONB DEFAULT '{}',
+        last_activity_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        reminder_count INTEGER DEFAULT 0,
+        last_reminder_at TIMESTAMP WITH TIME ZONE,
         created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
         UNIQUE(phone_number, survey_id)
@@ -115,22 +166,141 @@ async function runDatabaseSetup() {
         survey_id VARCHAR(50) NOT NULL REFERENCES surveys(id) ON DELETE CASCADE,
         participant_id INTEGER NOT NULL REFERENCES participants(id) ON DELETE CASCADE,
         question_id INTEGER NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+        sub_item INTEGER NOT NULL DEFAULT 0,
         answer TEXT NOT NULL CHECK (length(trim(answer)) > 0),
+        answer_data JSONB,
         follow_up_comment TEXT,
+        follow_up_probes JSONB,
         voice_metadata JSONB,
         created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(survey_id, participant_id, question_id)
+        CONSTRAINT responses_survey_participant_question_item_key UNIQUE(survey_id, participant_id, question_id, sub_item)
       )
     `);
     console.log('✅ Responses table created\n');
 
+    // Previous answers are kept here when a participant changes an answer
+    console.log('Creating response_revisions table...');
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS response_revisions (
+        id SERIAL PRIMARY KEY,
+        response_id INTEGER REFERENCES responses(id) ON DELETE SET NULL,
+        survey_id VARCHAR(50) NOT NULL REFERENCES surveys(id) ON DELETE CASCADE,
+        participant_id INTEGER NOT NULL REFERENCES participants(id) ON DELETE CASCADE,
+        question_id INTEGER NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+        sub_item INTEGER NOT NULL DEFAULT 0,
+        answer TEXT NOT NULL,
+        answer_data JSONB,
+        follow_up_comment TEXT,
+        follow_up_probes JSONB,
+        voice_metadata JSONB,
+        answered_at TIMESTAMP WITH TIME ZONE,
+        revised_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Response_revisions table created\n');
+
+    // Completion incentives: each participant who completes gets one code
+    console.log('Creating voucher_codes table...');
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS voucher_codes (
+        id SERIAL PRIMARY KEY,
+        survey_id VARCHAR(50) NOT NULL REFERENCES surveys(id) ON DELETE CASCADE,
+        code VARCHAR(200) NOT NULL CHECK (length(trim(code)) > 0),
+        participant_id INTEGER REFERENCES participants(id) ON DELETE SET NULL,
+        issued_at TIMESTAMP WITH TIME ZONE,
+        sent_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(survey_id, code)
+      )
+    `);
+    console.log('✅ Voucher_codes table created\n');
+
+    // Do-not-contact registry: nothing is sent to a number while it's opted out
+    console.log('Creating opt_outs table...');
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS opt_outs (
+        phone_number VARCHAR(50) PRIMARY KEY CHECK (length(trim(phone_number)) > 0),
+        keyword VARCHAR(50),
+        source VARCHAR(20) NOT NULL DEFAULT 'keyword' CHECK (source IN ('keyword', 'admin')),
+        survey_id VARCHAR(50) REFERENCES surveys(id) ON DELETE SET NULL,
+        opted_out_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        opted_in_at TIMESTAMP WITH TIME ZONE
+      )
+    `);
+    console.log('✅ Opt_outs table created\n');
+
+    // Bring databases created by earlier versions up to date
+    console.log('Applying schema upgrades...');
+    const schemaUpgrades = [
+      'ALTER TABLE questions ADD COLUMN IF NOT EXISTS routing JSONB',
+      'ALTER TABLE questions ADD COLUMN IF NOT EXISTS settings JSONB',
+      'ALTER TABLE questions ADD COLUMN IF NOT EXISTS follow_up JSONB',
+      'ALTER TABLE responses ADD COLUMN IF NOT EXISTS answer_data JSONB',
+      'ALTER TABLE responses ADD COLUMN IF NOT EXISTS follow_up_probes JSONB',
+      'ALTER TABLE surveys ADD COLUMN IF NOT EXISTS goal TEXT',
+      // Matrix questions store one response row per statement
+      'ALTER TABLE responses ADD COLUMN IF NOT EXISTS sub_item INTEGER NOT NULL DEFAULT 0',
+      'ALTER TABLE responses DROP CONSTRAINT IF EXISTS responses_survey_id_participant_id_question_id_key',
+      'ALTER TABLE responses DROP CONSTRAINT IF EXISTS responses_survey_participant_question_item_key',
+      'ALTER TABLE responses ADD CONSTRAINT responses_survey_participant_question_item_key UNIQUE (survey_id, participant_id, question_id, sub_item)',
+      'ALTER TABLE questions DROP CONSTRAINT IF EXISTS questions_question_type_check',
+      `ALTER TABLE questions ADD CONSTRAINT questions_question_type_check CHECK (${questionTypeCheck})`,
+      // Multilingual surveys
+      `ALTER TABLE surveys ADD COLUMN IF NOT EXISTS languages JSONB DEFAULT '["en"]'`,
+      `ALTER TABLE surveys ADD COLUMN IF NOT EXISTS translations JSONB DEFAULT '{}'`,
+      `ALTER TABLE questions ADD COLUMN IF NOT EXISTS translations JSONB DEFAULT '{}'`,
+      'ALTER TABLE sessions ADD COLUMN IF NOT EXISTS language VARCHAR(10)',
+      'ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_stage_check',
+      `ALTER TABLE sessions ADD CONSTRAINT sessions_stage_check CHECK (${sessionStageCheck})`,
+      `ALTER TABLE participants ADD COLUMN IF NOT EXISTS attributes JSONB DEFAULT '{}'`,
+      `ALTER TABLE surveys ADD COLUMN IF NOT EXISTS randomization JSONB DEFAULT '{}'`,
+      'ALTER TABLE questions ADD COLUMN IF NOT EXISTS media_id INTEGER REFERENCES media_files(id) ON DELETE SET NULL',
+      // Consent and eligibility screening
+      'ALTER TABLE surveys ADD COLUMN IF NOT EXISTS consent JSONB',
+      'ALTER TABLE surveys ADD COLUMN IF NOT EXISTS screening JSONB',
+      `ALTER TABLE survey_participants ADD COLUMN IF NOT EXISTS consent_status VARCHAR(20) CHECK (consent_status IN ('agreed', 'declined'))`,
+      'ALTER TABLE survey_participants ADD COLUMN IF NOT EXISTS consent_at TIMESTAMP WITH TIME ZONE',
+      'ALTER TABLE survey_participants ADD COLUMN IF NOT EXISTS consent_version VARCHAR(100)',
+      'ALTER TABLE survey_participants ADD COLUMN IF NOT EXISTS consent_text TEXT',
+      `ALTER TABLE survey_participants ADD COLUMN IF NOT EXISTS screening_answers JSONB DEFAULT '[]'`,
+      'ALTER TABLE survey_participants ADD COLUMN IF NOT EXISTS disqualified_at TIMESTAMP WITH TIME ZONE',
+      // Completion quotas
+      'ALTER TABLE surveys ADD COLUMN IF NOT EXISTS quotas JSONB',
+      'ALTER TABLE survey_participants ADD COLUMN IF NOT EXISTS over_quota_at TIMESTAMP WITH TIME ZONE',
+      // Inactivity reminders and session expiry
+      `ALTER TABLE surveys ADD COLUMN IF NOT EXISTS reminders JSONB DEFAULT '{}'`,
+      'ALTER TABLE sessions ADD COLUMN IF NOT EXISTS last_activity_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP',
+      'ALTER TABLE sessions ADD COLUMN IF NOT EXISTS reminder_count INTEGER DEFAULT 0',
+      'ALTER TABLE sessions ADD COLUMN IF NOT EXISTS last_reminder_at TIMESTAMP WITH TIME ZONE',
+      // Several active surveys, picked by keyword or from a menu
+      'ALTER TABLE surveys ADD COLUMN IF NOT EXISTS keyword VARCHAR(30)',
+      'ALTER TABLE participants ADD COLUMN IF NOT EXISTS survey_menu JSONB',
+      'DROP TRIGGER IF EXISTS ensure_single_active_survey_trigger ON surveys',
+      'DROP FUNCTION IF EXISTS ensure_single_active_survey()',
+      // Participant commands switched on or off per survey
+      `ALTER TABLE surveys ADD COLUMN IF NOT EXISTS commands JSONB DEFAULT '{}'`,
+      // Per-survey message templates
+      `ALTER TABLE surveys ADD COLUMN IF NOT EXISTS messages JSONB DEFAULT '{}'`,
+      // Revisions outlive answers removed when a changed answer re-routes
+      'ALTER TABLE response_revisions ALTER COLUMN response_id DROP NOT NULL',
+      'ALTER TABLE response_revisions DROP CONSTRAINT IF EXISTS response_revisions_response_id_fkey',
+      'ALTER TABLE response_revisions ADD CONSTRAINT response_revisions_response_id_fkey FOREIGN KEY (response_id) REFERENCES responses(id) ON DELETE SET NULL'
+    ];
+    
+    for (const upgradeSQL of schemaUpgrades) {
+      await client.query(upgradeSQL);
+    }
+    console.log('✅ Schema upgrades applied\n');
+
     // 7. Create indexes for performance
     console.log('Creating database indexes...');
     const indexes = [
       'CREATE INDEX IF NOT EXISTS idx_surveys_active ON surveys(is_active) WHERE is_active = true',
       'CREATE INDEX IF NOT EXISTS idx_surveys_created ON surveys(created_at)',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_surveys_keyword ON surveys(UPPER(keyword)) WHERE keyword IS NOT NULL',
       'CREATE INDEX IF NOT EXISTS idx_questions_survey ON questions(survey_id)',
       'CREATE INDEX IF NOT EXISTS idx_questions_type ON questions(question_type)',
+      'CREATE INDEX IF NOT EXISTS idx_questions_media ON questions(media_id) WHERE media_id IS NOT NULL',
       'CREATE INDEX IF NOT EXISTS idx_participants_phone ON participants(phone_number)',
       'CREATE INDEX IF NOT EXISTS idx_participants_code ON participants(participant_code)',
       'CREATE INDEX IF NOT EXISTS idx_survey_participants_survey ON survey_participants(survey_id)',
@@ -139,10 +309,14 @@ async function runDatabaseSetup() {
       'CREATE INDEX IF NOT EXISTS idx_sessions_phone_survey ON sessions(phone_number, survey_id)',
       'CREATE INDEX IF NOT EXISTS idx_sessions_stage ON sessions(stage)',
       'CREATE INDEX IF NOT EXISTS idx_sessions_updated ON sessions(updated_at)',
+      'CREATE INDEX IF NOT EXISTS idx_sessions_activity ON sessions(last_activity_at)',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_voucher_codes_participant ON voucher_codes(survey_id, participant_id) WHERE participant_id IS NOT NULL',
+      'CREATE INDEX IF NOT EXISTS idx_voucher_codes_unissued ON voucher_codes(survey_id, id) WHERE issued_at IS NULL',
       'CREATE INDEX IF NOT EXISTS idx_responses_survey ON responses(survey_id)',
       'CREATE INDEX IF NOT EXISTS idx_responses_participant ON responses(participant_id)',
       'CREATE INDEX IF NOT EXISTS idx_responses_question ON responses(question_id)',
-      'CREATE INDEX IF NOT EXISTS idx_responses_created ON responses(created_at)'
+      'CREATE INDEX IF NOT EXISTS idx_responses_created ON responses(created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_response_revisions_response ON response_revisions(response_id)'
     ];
     
     for (const indexSQL of indexes) {
@@ -205,6 +379,28 @@ async function runDatabaseSetup() {
       $$ LANGUAGE plpgsql
     `);
     
+    // Function to close idle sessions as abandoned (the old version deleted them)
+    await client.query('DROP FUNCTION IF EXISTS cleanup_old_sessions()');
+    await client.query(`
+      CREATE OR REPLACE FUNCTION cleanup_old_sessions(default_hours NUMERIC DEFAULT 24, skip_surveys VARCHAR[] DEFAULT '{}')
+      RETURNS TABLE(session_id INTEGER, phone VARCHAR, survey VARCHAR, lang VARCHAR) AS $$
+      BEGIN
+          RETURN QUERY
+          UPDATE sessions s
+          SET stage = 'abandoned',
+              session_data = COALESCE(s.session_data, '{}') || jsonb_build_object('abandonedStage', s.stage, 'abandonedAt', CURRENT_TIMESTAMP)
+          FROM surveys sv
+          WHERE sv.id = s.survey_id
+            AND s.stage IN ('initial', 'language', 'consent', 'screening', 'survey', 'followup', 'voice_confirmation')
+            AND NOT (s.survey_id = ANY(skip_surveys))
+            AND NOT COALESCE((s.session_data->>'paused')::boolean, false)
+            AND COALESCE(s.last_activity_at, s.updated_at) <
+                CURRENT_TIMESTAMP - make_interval(secs => COALESCE((sv.reminders->>'expireAfterHours')::numeric, default_hours)::double precision * 3600)
+          RETURNING s.id, s.phone_number, s.survey_id, s.language;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    
     console.log('✅ Utility functions created\n');
 
     // 9. Create views for analytics
@@ -229,7 +425,9 @@ async function runDatabaseSetup() {
           WHEN COUNT(DISTINCT CASE WHEN sp.is_completed THEN sp.participant_id END) > 0
           THEN ROUND(AVG(sp.completion_duration_seconds) / 60.0, 2)
           ELSE 0
-        END as avg_completion_minutes
+        END as avg_completion_minutes,
+        COUNT(DISTINCT CASE WHEN sp.consent_status = 'declined' THEN sp.participant_id END) as declined_participants,
+        COUNT(DISTINCT CASE WHEN sp.disqualified_at IS NOT NULL THEN sp.participant_id END) as disqualified_participants
       FROM surveys s
       LEFT JOIN survey_participants sp ON s.id = sp.survey_id
       LEFT JOIN responses r ON s.id = r.survey_id
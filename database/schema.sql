@@ -5,9 +5,13 @@
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
 -- Drop existing tables if they exist (for clean setup)
+DROP TABLE IF EXISTS voucher_codes CASCADE;
+DROP TABLE IF EXISTS opt_outs CASCADE;
+DROP TABLE IF EXISTS response_revisions CASCADE;
 DROP TABLE IF EXISTS responses CASCADE;
 DROP TABLE IF EXISTS survey_participants CASCADE;
 DROP TABLE IF EXISTS questions CASCADE;
+DROP TABLE IF EXISTS media_files CASCADE;
 DROP TABLE IF EXISTS sessions CASCADE;
 DROP TABLE IF EXISTS participants CASCADE;
 DROP TABLE IF EXISTS surveys CASCADE;
@@ -18,6 +22,17 @@ CREATE TABLE surveys (
     title VARCHAR(500) NOT NULL CHECK (length(trim(title)) > 0),
     description TEXT DEFAULT '',
     estimated_time VARCHAR(50) DEFAULT '3-5 minutes',
+    goal TEXT, -- research goal given to adaptive follow-up probes
+    languages JSONB DEFAULT '["en"]', -- survey languages, the first is the default
+    translations JSONB DEFAULT '{}', -- per language: {title, description, estimatedTime, messages}
+    randomization JSONB DEFAULT '{}', -- {questions, options}: shuffle question and/or option order
+    consent JSONB, -- {text, version}: consent step before the first question, NULL for none
+    screening JSONB, -- {questions: [{text, options, qualifying}], disqualifyMessage}
+    quotas JSONB, -- {maxCompletes, segments: [{label, screener, answers, limit}]}
+    reminders JSONB DEFAULT '{}', -- {enabled, afterHours, maxReminders, message, expireAfterHours, expiryMessage, quietHours, timezone}
+    keyword VARCHAR(30), -- entry keyword participants send ("JOIN CX24") when several surveys are active
+    commands JSONB DEFAULT '{}', -- participant commands switched on or off, e.g. {"skip": false}
+    messages JSONB DEFAULT '{}', -- message templates replacing the defaults: {welcome, intro, completion, ...}
     participant_prefix VARCHAR(20) NOT NULL CHECK (length(trim(participant_prefix)) > 0),
     is_active BOOLEAN DEFAULT FALSE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -29,6 +44,18 @@ CREATE TABLE participants (
     id SERIAL PRIMARY KEY,
     phone_number VARCHAR(50) UNIQUE NOT NULL CHECK (length(trim(phone_number)) > 0),
     participant_code VARCHAR(20) UNIQUE NOT NULL CHECK (length(trim(participant_code)) > 0),
+    attributes JSONB DEFAULT '{}', -- custom values piped into questions as {{attr.name}}
+    survey_menu JSONB, -- survey ids last offered in the survey menu, in menu order
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create media_files table (media attached to questions, photos and documents sent as answers)
+CREATE TABLE media_files (
+    id SERIAL PRIMARY KEY,
+    filename VARCHAR(255) NOT NULL CHECK (length(trim(filename)) > 0),
+    mimetype VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL CHECK (size_bytes > 0),
+    data BYTEA NOT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -37,10 +64,15 @@ CREATE TABLE questions (
     id SERIAL PRIMARY KEY,
     survey_id VARCHAR(50) NOT NULL REFERENCES surveys(id) ON DELETE CASCADE,
     question_number INTEGER NOT NULL CHECK (question_number > 0),
-    question_type VARCHAR(50) NOT NULL CHECK (question_type IN ('curated', 'multiple', 'likert', 'text')),
+    question_type VARCHAR(50) NOT NULL CHECK (question_type IN ('curated', 'multiple', 'multiselect', 'likert', 'nps', 'text', 'number', 'date', 'email', 'phone', 'yesno', 'ranking', 'matrix', 'photo', 'document', 'location')),
     question_text TEXT NOT NULL CHECK (length(trim(question_text)) > 0),
     options JSONB,
     scale JSONB,
+    settings JSONB,
+    routing JSONB,
+    follow_up JSONB, -- follow-up policy: {mode, options, min, max, prompt}
+    translations JSONB DEFAULT '{}', -- per language: {text, options, labels, followUpPrompt}
+    media_id INTEGER REFERENCES media_files(id) ON DELETE SET NULL, -- sent before or with the question
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(survey_id, question_number)
 );
@@ -55,6 +87,13 @@ CREATE TABLE survey_participants (
     completed_at TIMESTAMP,
     is_completed BOOLEAN DEFAULT FALSE,
     completion_duration_seconds INTEGER CHECK (completion_duration_seconds >= 0),
+    consent_status VARCHAR(20) CHECK (consent_status IN ('agreed', 'declined')),
+    consent_at TIMESTAMP,
+    consent_version VARCHAR(100), -- version of the consent text shown
+    consent_text TEXT, -- consent text as shown, in the participant's language
+    screening_answers JSONB DEFAULT '[]', -- [{question, answer}] for each screener answered
+    disqualified_at TIMESTAMP, -- set when a screener answer did not qualify
+    over_quota_at TIMESTAMP, -- set when stopped because a quota was full
     UNIQUE(survey_id, participant_id),
     UNIQUE(survey_id, participant_survey_code)
 );
@@ -66,8 +105,12 @@ CREATE TABLE sessions (
     survey_id VARCHAR(50) NOT NULL REFERENCES surveys(id) ON DELETE CASCADE,
     participant_id INTEGER NOT NULL REFERENCES participants(id) ON DELETE CASCADE,
     current_question INTEGER DEFAULT 0 CHECK (current_question >= 0),
-    stage VARCHAR(50) DEFAULT 'initial' CHECK (stage IN ('initial', 'survey', 'followup', 'voice_confirmation', 'completed')),
+    stage VARCHAR(50) DEFAULT 'initial' CHECK (stage IN ('initial', 'language', 'survey', 'followup', 'voice_confirmation', 'completed', 'consent', 'screening', 'declined', 'disqualified', 'over_quota', 'abandoned', 'opted_out')),
+    language VARCHAR(10), -- language the participant chose or was detected
     session_data JSONB DEFAULT '{}',
+    last_activity_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- last message from the participant
+    reminder_count INTEGER DEFAULT 0, -- reminders sent since then
+    last_reminder_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(phone_number, survey_id)
@@ -79,21 +122,65 @@ CREATE TABLE responses (
     survey_id VARCHAR(50) NOT NULL REFERENCES surveys(id) ON DELETE CASCADE,
     participant_id INTEGER NOT NULL REFERENCES participants(id) ON DELETE CASCADE,
     question_id INTEGER NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+    sub_item INTEGER NOT NULL DEFAULT 0, -- matrix statement number (1..n), 0 for other questions
     answer TEXT NOT NULL CHECK (length(trim(answer)) > 0),
+    answer_data JSONB,
+    follow_up_comment TEXT,
+    follow_up_probes JSONB, -- [{probe, answer, provider, askedAt}]
+    voice_metadata JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT responses_survey_participant_question_item_key UNIQUE(survey_id, participant_id, question_id, sub_item)
+);
+
+-- Create response_revisions table (previous answers kept when a participant changes an answer)
+CREATE TABLE response_revisions (
+    id SERIAL PRIMARY KEY,
+    response_id INTEGER REFERENCES responses(id) ON DELETE SET NULL, -- NULL once a changed route removed the answer
+    survey_id VARCHAR(50) NOT NULL REFERENCES surveys(id) ON DELETE CASCADE,
+    participant_id INTEGER NOT NULL REFERENCES participants(id) ON DELETE CASCADE,
+    question_id INTEGER NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+    sub_item INTEGER NOT NULL DEFAULT 0,
+    answer TEXT NOT NULL,
+    answer_data JSONB,
     follow_up_comment TEXT,
+    follow_up_probes JSONB,
     voice_metadata JSONB,
+    answered_at TIMESTAMP,
+    revised_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create voucher_codes table (completion incentives: each participant who completes gets one code)
+CREATE TABLE voucher_codes (
+    id SERIAL PRIMARY KEY,
+    survey_id VARCHAR(50) NOT NULL REFERENCES surveys(id) ON DELETE CASCADE,
+    code VARCHAR(200) NOT NULL CHECK (length(trim(code)) > 0),
+    participant_id INTEGER REFERENCES participants(id) ON DELETE SET NULL,
+    issued_at TIMESTAMP, -- NULL while unissued; stays set if the participant is deleted
+    sent_at TIMESTAMP, -- when the code was delivered over WhatsApp
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(survey_id, participant_id, question_id)
+    UNIQUE(survey_id, code)
+);
+
+-- Create opt_outs table (do-not-contact registry: nothing is sent to a number while it's opted out)
+CREATE TABLE opt_outs (
+    phone_number VARCHAR(50) PRIMARY KEY CHECK (length(trim(phone_number)) > 0),
+    keyword VARCHAR(50), -- keyword the participant sent, NULL when added by an admin
+    source VARCHAR(20) NOT NULL DEFAULT 'keyword' CHECK (source IN ('keyword', 'admin')),
+    survey_id VARCHAR(50) REFERENCES surveys(id) ON DELETE SET NULL, -- survey they were taking
+    opted_out_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    opted_in_at TIMESTAMP -- set when they opt back in
 );
 
 -- Create indexes for performance
 CREATE INDEX idx_surveys_active ON surveys(is_active) WHERE is_active = true;
 CREATE INDEX idx_surveys_created ON surveys(created_at DESC);
+CREATE UNIQUE INDEX idx_surveys_keyword ON surveys(UPPER(keyword)) WHERE keyword IS NOT NULL;
 
 CREATE INDEX idx_participants_phone ON participants(phone_number);
 CREATE INDEX idx_participants_code ON participants(participant_code);
 
 CREATE INDEX idx_questions_survey ON questions(survey_id, question_number);
+CREATE INDEX idx_questions_media ON questions(media_id) WHERE media_id IS NOT NULL;
 CREATE INDEX idx_questions_type ON questions(question_type);
 
 CREATE INDEX idx_survey_participants_survey ON survey_participants(survey_id);
@@ -104,6 +191,9 @@ CREATE INDEX idx_survey_participants_started ON survey_participants(started_at);
 CREATE INDEX idx_sessions_phone_survey ON sessions(phone_number, survey_id);
 CREATE INDEX idx_sessions_stage ON sessions(stage);
 CREATE INDEX idx_sessions_updated ON sessions(updated_at);
+CREATE UNIQUE INDEX idx_voucher_codes_participant ON voucher_codes(survey_id, participant_id) WHERE participant_id IS NOT NULL;
+CREATE INDEX idx_voucher_codes_unissued ON voucher_codes(survey_id, id) WHERE issued_at IS NULL;
+CREATE INDEX idx_sessions_activity ON sessions(last_activity_at);
 CREATE INDEX idx_sessions_survey ON sessions(survey_id);
 
 CREATE INDEX idx_responses_survey ON responses(survey_id);
@@ -112,6 +202,8 @@ CREATE INDEX idx_responses_question ON responses(question_id);
 CREATE INDEX idx_responses_created ON responses(created_at DESC);
 CREATE INDEX idx_responses_voice ON responses(voice_metadata) WHERE voice_metadata IS NOT NULL;
 
+CREATE INDEX idx_response_revisions_response ON response_revisions(response_id);
+
 -- Create function to generate next participant code
 CREATE OR REPLACE FUNCTION get_next_participant_code(survey_id VARCHAR)
 RETURNS VARCHAR AS $$
@@ -175,24 +267,33 @@ SELECT
         THEN ROUND((COUNT(DISTINCT CASE WHEN sp.is_completed THEN sp.participant_id END) * 100.0 / COUNT(DISTINCT sp.participant_id)), 2)
         ELSE 0 
     END as completion_rate,
-    ROUND(AVG(CASE WHEN sp.completion_duration_seconds IS NOT NULL THEN sp.completion_duration_seconds END)) as avg_completion_seconds
+    ROUND(AVG(CASE WHEN sp.completion_duration_seconds IS NOT NULL THEN sp.completion_duration_seconds END)) as avg_completion_seconds,
+    COUNT(DISTINCT CASE WHEN sp.consent_status = 'declined' THEN sp.participant_id END) as declined_participants,
+    COUNT(DISTINCT CASE WHEN sp.disqualified_at IS NOT NULL THEN sp.participant_id END) as disqualified_participants
 FROM surveys s
 LEFT JOIN survey_participants sp ON s.id = sp.survey_id
 LEFT JOIN responses r ON sp.survey_id = r.survey_id AND sp.participant_id = r.participant_id
 GROUP BY s.id, s.title, s.is_active, s.created_at;
 
--- Create function to clean up old sessions (older than 24 hours)
-CREATE OR REPLACE FUNCTION cleanup_old_sessions()
-RETURNS INTEGER AS $$
-DECLARE
-    deleted_count INTEGER;
+-- Create function to close sessions idle past their deadline (the survey's
+-- reminders.expireAfterHours, else default_hours). Sessions are marked
+-- abandoned rather than deleted so drop-off stays analyzable. Sessions the
+-- participant paused are left open.
+CREATE OR REPLACE FUNCTION cleanup_old_sessions(default_hours NUMERIC DEFAULT 24, skip_surveys VARCHAR[] DEFAULT '{}')
+RETURNS TABLE(session_id INTEGER, phone VARCHAR, survey VARCHAR, lang VARCHAR) AS $$
 BEGIN
-    DELETE FROM sessions 
-    WHERE updated_at < CURRENT_TIMESTAMP - INTERVAL '24 hours';
-    
-    GET DIAGNOSTICS deleted_count = ROW_COUNT;
-    
-    RETURN deleted_count;
+    RETURN QUERY
+    UPDATE sessions s
+    SET stage = 'abandoned',
+        session_data = COALESCE(s.session_data, '{}') || jsonb_build_object('abandonedStage', s.stage, 'abandonedAt', CURRENT_TIMESTAMP)
+    FROM surveys sv
+    WHERE sv.id = s.survey_id
+      AND s.stage IN ('initial', 'language', 'consent', 'screening', 'survey', 'followup', 'voice_confirmation')
+      AND NOT (s.survey_id = ANY(skip_surveys))
+      AND NOT COALESCE((s.session_data->>'paused')::boolean, false)
+      AND COALESCE(s.last_activity_at, s.updated_at) <
+          CURRENT_TIMESTAMP - make_interval(secs => COALESCE((sv.reminders->>'expireAfterHours')::numeric, default_hours)::double precision * 3600)
+    RETURNING s.id, s.phone_number, s.survey_id, s.language;
 END;
 $$ LANGUAGE plpgsql;
 
@@ -200,17 +301,17 @@ $$ LANGUAGE plpgsql;
 CREATE OR REPLACE FUNCTION validate_question_options()
 RETURNS TRIGGER AS $$
 BEGIN
-    -- Validate multiple choice and curated questions have options
-    IF NEW.question_type IN ('multiple', 'curated') THEN
+    -- Validate choice questions have options
+    IF NEW.question_type IN ('multiple', 'curated', 'multiselect', 'ranking') THEN
         IF NEW.options IS NULL OR jsonb_array_length(NEW.options) = 0 THEN
             RAISE EXCEPTION 'Question type % requires options array', NEW.question_type;
         END IF;
     END IF;
     
-    -- Validate likert questions have scale
-    IF NEW.question_type = 'likert' THEN
+    -- Validate likert and matrix questions have scale
+    IF NEW.question_type IN ('likert', 'matrix') THEN
         IF NEW.scale IS NULL THEN
-            RAISE EXCEPTION 'Question type likert requires scale object';
+            RAISE EXCEPTION 'Question type % requires scale object', NEW.question_type;
         END IF;
         
         -- Validate scale structure
@@ -219,6 +320,38 @@ BEGIN
         END IF;
     END IF;
     
+    -- Validate matrix questions have statements
+    IF NEW.question_type = 'matrix' THEN
+        IF NEW.options IS NULL OR jsonb_array_length(NEW.options) < 2 THEN
+            RAISE EXCEPTION 'Matrix questions require at least two statements in options';
+        END IF;
+    END IF;
+    
+    -- Validate number range settings
+    IF NEW.question_type = 'number' AND NEW.settings IS NOT NULL
+       AND jsonb_typeof(NEW.settings->'min') = 'number' AND jsonb_typeof(NEW.settings->'max') = 'number' THEN
+        IF (NEW.settings->>'min')::NUMERIC > (NEW.settings->>'max')::NUMERIC THEN
+            RAISE EXCEPTION 'Number question minimum cannot be greater than its maximum';
+        END IF;
+    END IF;
+    
+    -- Validate date format settings
+    IF NEW.question_type = 'date' AND NEW.settings IS NOT NULL AND NEW.settings ? 'dateFormat' THEN
+        IF NOT (NEW.settings->>'dateFormat' IN ('DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD')) THEN
+            RAISE EXCEPTION 'Unsupported date format: %', NEW.settings->>'dateFormat';
+        END IF;
+    END IF;
+    
+    -- Validate follow-up policy mode
+    IF NEW.follow_up IS NOT NULL AND NOT (COALESCE(NEW.follow_up->>'mode', '') IN ('always', 'never', 'options', 'range')) THEN
+        RAISE EXCEPTION 'Invalid follow-up mode: %', NEW.follow_up->>'mode';
+    END IF;
+    
+    -- Validate routing rules are stored as an array
+    IF NEW.routing IS NOT NULL AND jsonb_typeof(NEW.routing) != 'array' THEN
+        RAISE EXCEPTION 'Question routing must be an array of rules';
+    END IF;
+    
     RETURN NEW;
 END;
 $$ LANGUAGE plpgsql;
@@ -229,26 +362,6 @@ CREATE TRIGGER validate_question_options_trigger
     FOR EACH ROW
     EXECUTE FUNCTION validate_question_options();
 
--- Create function to ensure only one active survey
-CREATE OR REPLACE FUNCTION ensure_single_active_survey()
-RETURNS TRIGGER AS $$
-BEGIN
-    IF NEW.is_active = TRUE THEN
-        -- Deactivate all other surveys
-        UPDATE surveys SET is_active = FALSE WHERE id != NEW.id;
-    END IF;
-    
-    RETURN NEW;
-END;
-$$ LANGUAGE plpgsql;
-
--- Create trigger for single active survey
-CREATE TRIGGER ensure_single_active_survey_trigger
-    BEFORE UPDATE ON surveys
-    FOR EACH ROW
-    WHEN (NEW.is_active = TRUE)
-    EXECUTE FUNCTION ensure_single_active_survey();
-
 -- Insert some sample data for testing (optional)
 -- This can be commented out in production
 
@@ -18,6 +18,9 @@ async function fixDuplicateResponses() {
     
     await client.query('BEGIN');
     
+    // Older databases predate per-statement matrix rows
+    await client.query('ALTER TABLE responses ADD COLUMN IF NOT EXISTS sub_item INTEGER NOT NULL DEFAULT 0');
+    
     // 1. Find and report duplicates
     console.log('1. Checking for duplicate responses...');
     const duplicates = await client.query(`
@@ -25,16 +28,18 @@ async function fixDuplicateResponses() {
         survey_id, 
         participant_id, 
         question_id, 
+        sub_item,
         COUNT(*) as count
       FROM responses
-      GROUP BY survey_id, participant_id, question_id
+      GROUP BY survey_id, participant_id, question_id, sub_item
       HAVING COUNT(*) > 1
     `);
     
     if (duplicates.rows.length > 0) {
       console.log(`Found ${duplicates.rows.length} duplicate response sets:`);
       duplicates.rows.forEach(row => {
-        console.log(`  - Survey: ${row.survey_id}, Participant: ${row.participant_id}, Question: ${row.question_id} (${row.count} responses)`);
+        const item = row.sub_item > 0 ? `, Statement: ${row.sub_item}` : '';
+        console.log(`  - Survey: ${row.survey_id}, Participant: ${row.participant_id}, Question: ${row.question_id}${item} (${row.count} responses)`);
       });
       
       // 2. Keep only the most recent response for each duplicate
@@ -47,6 +52,7 @@ async function fixDuplicateResponses() {
           WHERE r1.survey_id = r2.survey_id
             AND r1.participant_id = r2.participant_id
             AND r1.question_id = r2.question_id
+            AND r1.sub_item = r2.sub_item
             AND r1.created_at < r2.created_at
         )
       `);
@@ -95,22 +101,25 @@ async function fixDuplicateResponses() {
       CREATE OR REPLACE FUNCTION handle_duplicate_response()
       RETURNS TRIGGER AS $$
       BEGIN
-        -- Check if response already exists
+        -- Check if response already exists (matrix questions have one row per statement)
         IF EXISTS (
           SELECT 1 FROM responses 
           WHERE survey_id = NEW.survey_id 
           AND participant_id = NEW.participant_id 
           AND question_id = NEW.question_id
+          AND sub_item = NEW.sub_item
         ) THEN
           -- Update existing response instead
           UPDATE responses 
           SET answer = NEW.answer,
+              answer_data = COALESCE(NEW.answer_data, answer_data),
               follow_up_comment = COALESCE(NEW.follow_up_comment, follow_up_comment),
               voice_metadata = COALESCE(NEW.voice_metadata, voice_metadata),
               created_at = CURRENT_TIMESTAMP
           WHERE survey_id = NEW.survey_id 
           AND participant_id = NEW.participant_id 
-          AND question_id = NEW.question_id;
+          AND question_id = NEW.question_id
+          AND sub_item = NEW.sub_item;
           
           -- Return NULL to skip the insert
           RETURN NULL;
@@ -136,7 +145,7 @@ async function fixDuplicateResponses() {
     console.log('\n5. Optimizing database indexes...');
     await client.query(`
       CREATE INDEX IF NOT EXISTS idx_responses_composite 
-      ON responses(survey_id, participant_id, question_id)
+      ON responses(survey_id, participant_id, question_id, sub_item)
     `);
     
     await client.query(`
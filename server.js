@@ -7,9 +7,10 @@ const express = require('express');
 const cors = require('cors');
 const http = require('http');
 const socketIo = require('socket.io');
-const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+const { Client, LocalAuth, MessageMedia, Buttons, List } = require('whatsapp-web.js');
 const qrcode = require('qrcode');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const FormData = require('form-data');
 const fetch = require('node-fetch');
@@ -115,6 +116,10 @@ const rateLimiter = new RateLimiterMemory({
 });
 
 const rateLimitMiddleware = async (req, res, next) => {
+  // Media is fetched once per thumbnail in analytics, so it doesn't count
+  if (req.path.startsWith('/media/')) {
+    return next();
+  }
   try {
     await rateLimiter.consume(req.ip || req.socket.remoteAddress || 'unknown');
     next();
@@ -222,7 +227,8 @@ function initializeWhatsApp() {
           });
         }
         
-        await handleWhatsAppMessageWithCommands(message);
+        // One message at a time per participant, in the order they arrived
+        await enqueueMessage(message.from.replace('@c.us', ''), () => handleWhatsAppMessageWithCommands(message));
       }
     });
 
@@ -233,6 +239,309 @@ function initializeWhatsApp() {
   }
 }
 
+// Send a message that isn't a reply to the participant, e.g. a reminder.
+// Everything sent unprompted goes through here so opted-out numbers are
+// never contacted. Returns false when the number is suppressed.
+async function sendOutboundMessage(phoneNumber, text) {
+  if (!client || !isClientReady) {
+    throw new Error('WhatsApp client is not ready');
+  }
+  if (await isOptedOut(phoneNumber)) {
+    logger.info(`Suppressed outbound message to opted-out number ${phoneNumber}`);
+    return false;
+  }
+  await client.sendMessage(`${phoneNumber}@c.us`, text);
+  return true;
+}
+
+// Inactivity reminders and session expiry. Surveys can override each setting
+// in their reminders column; the defaults come from the environment.
+const REMINDER_DEFAULTS = {
+  afterHours: parseFloat(process.env.REMINDER_AFTER_HOURS || '4'),
+  maxReminders: parseInt(process.env.MAX_REMINDERS || '2'),
+  // Sessions idle this long are closed as abandoned
+  expireAfterHours: parseFloat(process.env.CLEANUP_INTERVAL_HOURS || '24'),
+  // "21-8": no reminders or expiry messages from 21:00 until 08:00
+  quietHours: process.env.QUIET_HOURS || '21-8',
+  timezone: process.env.REMINDER_TIMEZONE || undefined
+};
+const REMINDER_CHECK_MINUTES = parseInt(process.env.REMINDER_CHECK_MINUTES || '15');
+// Warn admins when a survey's voucher pool has this many codes left
+const VOUCHER_LOW_THRESHOLD = parseInt(process.env.VOUCHER_LOW_THRESHOLD || '10');
+// Stages in which a participant still owes us a reply
+const IN_PROGRESS_STAGES = ['initial', 'language', 'consent', 'screening', 'survey', 'followup', 'voice_confirmation'];
+
+// A survey's reminder settings, filled in with the defaults
+function getReminderSettings(survey) {
+  return { enabled: true, ...REMINDER_DEFAULTS, ...(survey.reminders || {}) };
+}
+
+// Parse quiet hours given as "21-8" into { start, end }, or null for none
+function parseQuietHours(quietHours) {
+  const match = String(quietHours || '').match(/^\s*(\d{1,2})\s*-\s*(\d{1,2})\s*$/);
+  if (!match) {
+    return null;
+  }
+  const start = parseInt(match[1]);
+  const end = parseInt(match[2]);
+  return start <= 23 && end <= 23 && start !== end ? { start, end } : null;
+}
+
+// Whether it's currently within a survey's quiet hours, in its time zone
+function isQuietTime(settings, now = new Date()) {
+  const quiet = parseQuietHours(settings.quietHours);
+  if (!quiet) {
+    return false;
+  }
+  const hour = parseInt(new Intl.DateTimeFormat('en-US', {
+    hour: 'numeric',
+    hourCycle: 'h23',
+    timeZone: settings.timezone || undefined
+  }).format(now));
+  // Quiet hours usually wrap past midnight (21-8)
+  return quiet.start < quiet.end
+    ? hour >= quiet.start && hour < quiet.end
+    : hour >= quiet.start || hour < quiet.end;
+}
+
+// A participant replied: restart the idle clock and the reminder count, and
+// end a pause
+async function recordSessionActivity(session) {
+  const client = await pool.connect();
+  try {
+    await client.query(
+      `UPDATE sessions
+       SET last_activity_at = CURRENT_TIMESTAMP, reminder_count = 0, last_reminder_at = NULL,
+           session_data = COALESCE(session_data, '{}') - 'paused'
+       WHERE id = $1`,
+      [session.id]
+    );
+  } finally {
+    client.release();
+  }
+}
+
+// Text of a reminder or expiry message: a translation in the participant's
+// language wins, then the survey's own text, then the built-in message
+function getReminderMessage(survey, language, key, customText) {
+  const t = createTranslator(survey, language || getSurveyLanguages(survey)[0]);
+  const translated = (((survey.translations || {})[language] || {}).messages || {})[key];
+  return translated || !customText
+    ? t(key, { title: survey.title })
+    : formatMessage(customText, { title: survey.title });
+}
+
+// Send reminders to idle participants, then close sessions idle past their
+// deadline as abandoned and re-send undelivered voucher codes. Runs every
+// REMINDER_CHECK_MINUTES.
+async function processIdleSessions() {
+  // Forget restart confirmations the participant never answered
+  const now = Date.now();
+  for (const [phoneNumber, pending] of pendingRestarts) {
+    if (pending.expiresAt < now) {
+      pendingRestarts.delete(phoneNumber);
+    }
+  }
+
+  // Nothing can be sent without WhatsApp, so leave the sessions for the next run
+  if (!client || !isClientReady) {
+    return;
+  }
+
+  const dbClient = await pool.connect();
+  try {
+    const surveysResult = await dbClient.query('SELECT id, title, languages, translations, messages, reminders, is_active FROM surveys');
+    const surveysById = new Map(surveysResult.rows.map(survey => [survey.id, survey]));
+    const quietSurveys = surveysResult.rows
+      .filter(survey => isQuietTime(getReminderSettings(survey)))
+      .map(survey => survey.id);
+
+    const idleResult = await dbClient.query(
+      `SELECT s.*
+       FROM sessions s
+       JOIN surveys sv ON sv.id = s.survey_id
+       WHERE sv.is_active = true
+         AND s.stage = ANY($1)
+         AND NOT (s.survey_id = ANY($2))
+         AND NOT COALESCE((s.session_data->>'paused')::boolean, false)
+         AND COALESCE((sv.reminders->>'enabled')::boolean, true)
+         AND s.reminder_count < COALESCE((sv.reminders->>'maxReminders')::integer, $3)
+         AND COALESCE(s.last_reminder_at, s.last_activity_at) <
+             CURRENT_TIMESTAMP - make_interval(secs => COALESCE((sv.reminders->>'afterHours')::numeric, $4)::double precision * 3600)`,
+      [IN_PROGRESS_STAGES, quietSurveys, REMINDER_DEFAULTS.maxReminders, REMINDER_DEFAULTS.afterHours]
+    );
+
+    for (const session of idleResult.rows) {
+      const survey = surveysById.get(session.survey_id);
+      try {
+        await sendOutboundMessage(session.phone_number,
+          getReminderMessage(survey, session.language, 'reminder', getReminderSettings(survey).message));
+        await dbClient.query(
+          `UPDATE sessions SET reminder_count = reminder_count + 1, last_reminder_at = CURRENT_TIMESTAMP
+           WHERE id = $1`,
+          [session.id]
+        );
+      } catch (error) {
+        logger.warn('Failed to send reminder', { sessionId: session.id, error: error.message });
+      }
+    }
+
+    // Expired sessions are marked abandoned, not deleted, so drop-off stays analyzable
+    const expiredResult = await dbClient.query(
+      'SELECT * FROM cleanup_old_sessions($1, $2)',
+      [REMINDER_DEFAULTS.expireAfterHours, quietSurveys]
+    );
+
+    for (const expired of expiredResult.rows) {
+      const survey = surveysById.get(expired.survey);
+      // Sessions left over from deactivated surveys are closed without a message
+      if (!survey.is_active) {
+        continue;
+      }
+      try {
+        await sendOutboundMessage(expired.phone,
+          getReminderMessage(survey, expired.lang, 'sessionExpired', getReminderSettings(survey).expiryMessage));
+      } catch (error) {
+        logger.warn('Failed to send session expiry message', { sessionId: expired.session_id, error: error.message });
+      }
+    }
+
+    // Voucher codes whose message failed at completion are sent again
+    const unsentResult = await dbClient.query(
+      `SELECT s.*, v.id as voucher_id, v.code as voucher_code
+       FROM voucher_codes v
+       JOIN sessions s ON s.survey_id = v.survey_id AND s.participant_id = v.participant_id
+       WHERE v.issued_at < CURRENT_TIMESTAMP - INTERVAL '5 minutes'
+         AND v.sent_at IS NULL
+         AND NOT (v.survey_id = ANY($1))
+         AND NOT EXISTS (SELECT 1 FROM opt_outs o WHERE o.phone_number = s.phone_number AND o.opted_in_at IS NULL)`,
+      [quietSurveys]
+    );
+
+    for (const unsent of unsentResult.rows) {
+      try {
+        if (await sendOutboundMessage(unsent.phone_number, await getVoucherMessage(dbClient, unsent, unsent.voucher_code))) {
+          await dbClient.query('UPDATE voucher_codes SET sent_at = CURRENT_TIMESTAMP WHERE id = $1', [unsent.voucher_id]);
+          logger.info(`Re-sent voucher code to participant ${unsent.participant_id} for survey ${unsent.survey_id}`);
+        }
+      } catch (error) {
+        logger.warn('Failed to re-send voucher code', { voucherId: unsent.voucher_id, error: error.message });
+      }
+    }
+
+    if (idleResult.rows.length > 0 || expiredResult.rows.length > 0) {
+      logger.info(`Sent ${idleResult.rows.length} reminders, closed ${expiredResult.rows.length} abandoned sessions`);
+      io.emit('sessions-expired', { reminded: idleResult.rows.length, abandoned: expiredResult.rows.length });
+    }
+  } finally {
+    dbClient.release();
+  }
+}
+
+// Send the list of open surveys and remember it, so a numbered reply can pick one
+async function sendSurveyMenu(participant, surveys, message, intro = '') {
+  const client = await pool.connect();
+  try {
+    await client.query(
+      'UPDATE participants SET survey_menu = $1 WHERE id = $2',
+      [JSON.stringify(surveys.map(survey => survey.id)), participant.id]
+    );
+  } finally {
+    client.release();
+  }
+
+  const list = surveys
+    .map((survey, index) => `${index + 1}. ${survey.title}${survey.keyword ? ` (JOIN ${survey.keyword})` : ''}`)
+    .join('\n');
+  await message.reply(`${intro}${defaultTranslator('surveyMenu', { surveys: list })}`);
+}
+
+// Pick the survey an inbound message belongs to: "JOIN CX24" wins, then the
+// open session the participant was last active in, then a bare keyword
+// ("CX24") or a reply to the survey menu. With several surveys open and
+// nothing to go on, the participant gets the menu. Returns { survey, selected }, where
+// selected means the message only chose the survey, or null when a reply has
+// already been sent.
+async function routeMessageToSurvey(participant, message) {
+  const surveys = await getActiveSurveys();
+  if (surveys.length === 0) {
+    // Use the closing message of the survey they last took, if any
+    const client = await pool.connect();
+    try {
+      const lastResult = await client.query(
+        `SELECT sv.*, s.language as session_language
+         FROM sessions s
+         JOIN surveys sv ON sv.id = s.survey_id
+         WHERE s.participant_id = $1
+         ORDER BY s.last_activity_at DESC NULLS LAST
+         LIMIT 1`,
+        [participant.id]
+      );
+      const lastSurvey = lastResult.rows[0];
+      const t = lastSurvey
+        ? createTranslator(lastSurvey, lastSurvey.session_language || getSurveyLanguages(lastSurvey)[0])
+        : defaultTranslator;
+      await message.reply(t('surveyClosed', { title: lastSurvey ? lastSurvey.title : '' }));
+    } finally {
+      client.release();
+    }
+    return null;
+  }
+
+  const text = message.body.trim();
+  const joinMatch = text.match(/^join\s+(\S+)$/i);
+  const findByKeyword = code => surveys.find(survey => survey.keyword && survey.keyword.toUpperCase() === code.toUpperCase());
+
+  if (joinMatch && !findByKeyword(joinMatch[1])) {
+    await sendSurveyMenu(participant, surveys, message, `${defaultTranslator('unknownSurveyCode', { code: joinMatch[1] })}\n\n`);
+    return null;
+  }
+
+  const client = await pool.connect();
+  try {
+    const menu = participant.survey_menu || [];
+    const selectSurvey = async survey => {
+      if (menu.length > 0) {
+        await client.query('UPDATE participants SET survey_menu = NULL WHERE id = $1', [participant.id]);
+      }
+      return { survey, selected: true };
+    };
+
+    // "JOIN <code>" always switches survey
+    if (joinMatch) {
+      return await selectSurvey(findByKeyword(joinMatch[1]));
+    }
+
+    // Otherwise an open session gets the message, so an answer that happens
+    // to be a keyword or a menu number isn't taken as a survey choice
+    const openResult = await client.query(
+      `SELECT survey_id FROM sessions
+       WHERE phone_number = $1 AND survey_id = ANY($2) AND stage = ANY($3)
+       ORDER BY last_activity_at DESC NULLS LAST
+       LIMIT 1`,
+      [participant.phone_number, surveys.map(survey => survey.id), IN_PROGRESS_STAGES]
+    );
+    if (openResult.rows.length > 0) {
+      return { survey: surveys.find(survey => survey.id === openResult.rows[0].survey_id), selected: false };
+    }
+
+    const menuChoice = /^\d+$/.test(text) ? menu[parseInt(text) - 1] : null;
+    const selected = findByKeyword(text) || surveys.find(survey => survey.id === menuChoice);
+    if (selected) {
+      return await selectSurvey(selected);
+    }
+  } finally {
+    client.release();
+  }
+
+  if (surveys.length === 1) {
+    return { survey: surveys[0], selected: false };
+  }
+
+  await sendSurveyMenu(participant, surveys, message);
+  return null;
+}
+
 // Handle incoming WhatsApp messages
 async function handleWhatsAppMessage(message) {
   try {
@@ -242,29 +551,88 @@ async function handleWhatsAppMessage(message) {
     // Get or create participant
     const participant = await getOrCreateParticipant(phoneNumber);
     
-    // Get active survey first
-    const activeSurvey = await getActiveSurvey();
-    if (!activeSurvey) {
-      await message.reply('Sorry, no surveys are currently active. Please check back later.');
+    // Find the survey this message is for
+    const routed = await routeMessageToSurvey(participant, message);
+    if (!routed) {
       return;
     }
+    const activeSurvey = routed.survey;
     
     // Check for ANY existing session (active or completed) for this survey
     let session = await getSessionForSurvey(phoneNumber, activeSurvey.id);
+    if (session) {
+      await recordSessionActivity(session);
+    }
     
     if (!session) {
-      // No session exists at all - create new one
-      session = await createSession(phoneNumber, activeSurvey.id, participant.id);
-      
-      // Send welcome message
-      const welcomeMessage = `Hi! 👋 Thanks for participating in our survey: "${activeSurvey.title}"\n\nThis should take about ${activeSurvey.estimated_time}.\n\nLet's get started!`;
-      await message.reply(welcomeMessage);
-      
-      // Send first question
-      await sendQuestion(session, message);
+      // No session exists at all - create new one. Multilingual surveys use the
+      // language of the first message when it's clear, otherwise ask. A
+      // keyword or menu choice says nothing about the language.
+      const languages = getSurveyLanguages(activeSurvey);
+      const language = languages.length === 1
+        ? languages[0]
+        : (routed.selected ? null : detectLanguage(message.body, languages));
+
+      // Nobody new starts once the completion cap is reached
+      if (activeSurvey.quotas) {
+        const client = await pool.connect();
+        try {
+          if (await isOverQuota(client, activeSurvey.id, participant.id)) {
+            await message.reply(createTranslator(activeSurvey, language || languages[0])('quotaFull'));
+            return;
+          }
+        } finally {
+          client.release();
+        }
+      }
+
+      session = await createSession(phoneNumber, activeSurvey.id, participant.id, language);
+
+      if (session.stage === 'language') {
+        await sendLanguagePicker(activeSurvey, message);
+        return;
+      }
+
+      await startSurvey(activeSurvey, session, message);
+    } else if (session.stage === 'initial') {
+      // Reset by a restart but not welcomed yet
+      await startSurvey(activeSurvey, session, message);
+    } else if (routed.selected && IN_PROGRESS_STAGES.includes(session.stage)) {
+      // Switched back to a survey they already started: the keyword isn't an answer
+      const t = createTranslator(activeSurvey, session.language || getSurveyLanguages(activeSurvey)[0]);
+      await message.reply(t('surveyResumed', { title: activeSurvey.title }));
+    } else if (session.stage === 'language') {
+      await handleLanguageSelection(activeSurvey, session, message);
+    } else if (session.stage === 'consent') {
+      await handleConsentResponse(activeSurvey, session, message);
+    } else if (session.stage === 'screening') {
+      await handleScreenerResponse(activeSurvey, session, message);
+    } else if (session.stage === 'opted_out') {
+      // They opted back in since; the old session stays closed
+      const t = createTranslator(activeSurvey, session.language || getSurveyLanguages(activeSurvey)[0]);
+      await message.reply(t('leftSurvey', { title: activeSurvey.title }));
+      return;
+    } else if (session.stage === 'abandoned') {
+      // Expired sessions stay closed so drop-off can be analyzed
+      await message.reply(getReminderMessage(activeSurvey, session.language, 'sessionExpired',
+        getReminderSettings(activeSurvey).expiryMessage));
+      return;
+    } else if (session.stage === 'over_quota') {
+      const t = createTranslator(activeSurvey, session.language || getSurveyLanguages(activeSurvey)[0]);
+      await message.reply(t('quotaFull'));
+      return;
+    } else if (session.stage === 'declined' || session.stage === 'disqualified') {
+      // Participants who declined or were screened out don't get the survey
+      const language = session.language || getSurveyLanguages(activeSurvey)[0];
+      const t = createTranslator(activeSurvey, language);
+      await message.reply(session.stage === 'declined'
+        ? t('alreadyDeclined')
+        : getScreening(activeSurvey, language).disqualifyMessage || t('disqualified'));
+      return;
     } else if (session.stage === 'completed') {
       // Session exists and is completed
-      await message.reply('Thank you! You have already completed this survey. 🎉\n\nWe appreciate your participation!');
+      const t = createTranslator(activeSurvey, session.language || getSurveyLanguages(activeSurvey)[0]);
+      await message.reply(t('alreadyCompleted', { title: activeSurvey.title }));
       return;
     } else {
       // Session exists and is not completed - continue
@@ -276,238 +644,445 @@ async function handleWhatsAppMessage(message) {
   }
 }
 
-// Get or create participant
-async function getOrCreateParticipant(phoneNumber) {
+// Welcome a participant in their language and send the first question
+async function startSurvey(survey, session, message) {
+  const language = session.language || getSurveyLanguages(survey)[0];
+  const translation = (survey.translations || {})[language] || {};
+  const t = createTranslator(survey, language);
+
   const client = await pool.connect();
+  let context;
   try {
-    let result = await client.query(
-      'SELECT * FROM participants WHERE phone_number = $1',
-      [phoneNumber]
-    );
-    
-    if (result.rows.length === 0) {
-      const participantCode = generateParticipantCode();
-      result = await client.query(
-        'INSERT INTO participants (phone_number, participant_code) VALUES ($1, $2) RETURNING *',
-        [phoneNumber, participantCode]
-      );
-    }
-    
-    return result.rows[0];
+    context = await getTemplateContext(client, session);
   } finally {
     client.release();
   }
-}
 
-// Generate participant code
-function generateParticipantCode() {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let result = '';
-  for (let i = 0; i < 8; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
+  await message.reply(renderTemplate(t('welcome', {
+    title: translation.title || survey.title,
+    estimatedTime: translation.estimatedTime || survey.estimated_time
+  }), context));
+
+  // The intro is optional and only sent when the survey sets one
+  const intro = renderTemplate(t('intro', {
+    title: translation.title || survey.title,
+    description: translation.description || survey.description
+  }), context).trim();
+  if (intro) {
+    await message.reply(intro);
+  }
+
+  if (survey.consent) {
+    await askForConsent(survey, session, message);
+  } else {
+    await startScreening(survey, session, message);
   }
-  return result;
 }
 
-async function getSessionForSurvey(phoneNumber, surveyId) {
+// Consent text in the participant's language
+function getConsentText(survey, language) {
+  const translation = ((survey.translations || {})[language] || {}).consent;
+  return (translation && translation.text) || survey.consent.text;
+}
+
+// Screener questions and disqualification message in the participant's
+// language. Qualifying answers are kept as the default-language option labels.
+function getScreening(survey, language) {
+  const screening = survey.screening || {};
+  const translation = ((survey.translations || {})[language] || {}).screening || {};
+  return {
+    questions: (screening.questions || []).map((question, index) => {
+      const translated = (translation.questions || [])[index] || {};
+      return {
+        ...question,
+        text: translated.text || question.text,
+        localizedOptions: question.options.map((option, optIndex) => (translated.options || [])[optIndex] || option)
+      };
+    }),
+    disqualifyMessage: translation.disqualifyMessage || screening.disqualifyMessage || null
+  };
+}
+
+// Send the consent text and wait for the participant to agree or decline
+async function askForConsent(survey, session, message) {
+  const t = createTranslator(survey, session.language || getSurveyLanguages(survey)[0]);
   const client = await pool.connect();
   try {
-    const result = await client.query(
-      'SELECT * FROM sessions WHERE phone_number = $1 AND survey_id = $2',
-      [phoneNumber, surveyId]
+    await client.query(
+      `UPDATE sessions SET stage = 'consent', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [session.id]
     );
-    return result.rows[0] || null;
   } finally {
     client.release();
   }
+
+  await message.reply(t('consentPrompt', {
+    text: getConsentText(survey, session.language || getSurveyLanguages(survey)[0]),
+    agree: t('consentAgree'),
+    decline: t('consentDecline')
+  }));
 }
 
-// Updated getActiveSession to only get non-completed sessions
-async function getActiveSession(phoneNumber) {
+// Record the participant's consent decision with the text and version they
+// saw, then screen them or end the survey
+async function handleConsentResponse(survey, session, message) {
+  const language = session.language || getSurveyLanguages(survey)[0];
+  const t = createTranslator(survey, language);
+  const reply = normalizeOptionText(message.body);
+  const agreeWords = ['1', 'yes', 'agree', 'i agree', normalizeOptionText(t('yes')), normalizeOptionText(t('consentAgree'))];
+  const declineWords = ['2', 'no', 'decline', 'disagree', 'i do not agree', normalizeOptionText(t('no')), normalizeOptionText(t('consentDecline'))];
+  const agreed = agreeWords.includes(reply) ? true : declineWords.includes(reply) ? false : null;
+
+  if (agreed === null) {
+    await message.reply(t('invalidAnswer', { error: t('consentInvalid') }));
+    return;
+  }
+
   const client = await pool.connect();
   try {
-    const result = await client.query(
-      'SELECT * FROM sessions WHERE phone_number = $1 AND stage != $2 ORDER BY updated_at DESC LIMIT 1',
-      [phoneNumber, 'completed']
+    await client.query(
+      `UPDATE survey_participants
+       SET consent_status = $1, consent_at = CURRENT_TIMESTAMP, consent_version = $2, consent_text = $3
+       WHERE survey_id = $4 AND participant_id = $5`,
+      [agreed ? 'agreed' : 'declined', survey.consent.version, getConsentText(survey, language), survey.id, session.participant_id]
     );
-    return result.rows[0] || null;
+
+    if (!agreed) {
+      await client.query(
+        `UPDATE sessions SET stage = 'declined', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+        [session.id]
+      );
+    }
   } finally {
     client.release();
   }
+
+  logger.info(`Participant ${session.participant_id} ${agreed ? 'agreed to' : 'declined'} consent for survey ${survey.id}`);
+
+  if (!agreed) {
+    await message.reply(t('consentDeclined'));
+    io.emit('participant-declined', { surveyId: survey.id });
+    return;
+  }
+
+  await startScreening(survey, session, message);
 }
-// Updated createSession with better error handling
-async function createSession(phoneNumber, surveyId, participantId) {
+
+// Ask the survey's screener questions, or go straight to the first question
+async function startScreening(survey, session, message) {
+  const hasScreener = ((survey.screening || {}).questions || []).length > 0;
   const client = await pool.connect();
+  let updatedSession;
   try {
-    // First check if session already exists
-    const existingSession = await client.query(
-      'SELECT * FROM sessions WHERE phone_number = $1 AND survey_id = $2',
-      [phoneNumber, surveyId]
-    );
-    
-    if (existingSession.rows.length > 0) {
-      // Session already exists, return it
-      logger.info(`Session already exists for phone ${phoneNumber} and survey ${surveyId}`);
-      return existingSession.rows[0];
-    }
-    
-    // Create new session
     const result = await client.query(
-      'INSERT INTO sessions (phone_number, survey_id, participant_id, current_question, stage) VALUES ($1, $2, $3, $4, $5) RETURNING *',
-      [phoneNumber, surveyId, participantId, 0, 'survey']
-    );
-    
-    // Create or update survey_participant entry
-    const participantSurveyCode = await client.query(
-      'SELECT get_next_participant_code($1) as code',
-      [surveyId]
-    );
-    
-    await client.query(
-      `INSERT INTO survey_participants (survey_id, participant_id, participant_survey_code) 
-       VALUES ($1, $2, $3) 
-       ON CONFLICT (survey_id, participant_id) 
-       DO UPDATE SET started_at = CURRENT_TIMESTAMP`,
-      [surveyId, participantId, participantSurveyCode.rows[0].code || generateParticipantCode()]
+      `UPDATE sessions
+       SET stage = $1,
+           session_data = COALESCE(session_data, '{}') || $2::jsonb,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 RETURNING *`,
+      [hasScreener ? 'screening' : 'survey', JSON.stringify(hasScreener ? { screenerIndex: 0 } : {}), session.id]
     );
-    
-    return result.rows[0];
-  } catch (error) {
-    if (error.code === '23505') {
-      // Duplicate key error - session already exists
-      logger.warn(`Duplicate session detected for phone ${phoneNumber} and survey ${surveyId}`);
-      
-      // Return existing session
-      const existingSession = await client.query(
-        'SELECT * FROM sessions WHERE phone_number = $1 AND survey_id = $2',
-        [phoneNumber, surveyId]
-      );
-      
-      if (existingSession.rows.length > 0) {
-        return existingSession.rows[0];
-      }
-    }
-    throw error;
+    updatedSession = result.rows[0];
   } finally {
     client.release();
   }
+
+  if (hasScreener) {
+    await sendScreenerQuestion(survey, updatedSession, message, 0);
+  } else {
+    await sendQuestion(updatedSession, message);
+  }
 }
 
-// Additional helper function to reset a session if needed
-async function resetSession(phoneNumber, surveyId) {
+// Send one screener question as a numbered list
+async function sendScreenerQuestion(survey, session, message, index) {
+  const language = session.language || getSurveyLanguages(survey)[0];
+  const t = createTranslator(survey, language);
+  const question = getScreening(survey, language).questions[index];
+
+  await message.reply(`${question.text}\n${question.localizedOptions.map((option, optIndex) => `${optIndex + 1}. ${option}`).join('\n')}\n\n${t('replyWithChoice')}`);
+}
+
+// Check a screener answer. A non-qualifying answer ends the survey with the
+// disqualification message; otherwise the next screener or question 1 follows.
+async function handleScreenerResponse(survey, session, message) {
+  const language = session.language || getSurveyLanguages(survey)[0];
+  const t = createTranslator(survey, language);
+  const screening = getScreening(survey, language);
+  const index = (session.session_data || {}).screenerIndex || 0;
+  const question = screening.questions[index];
+
+  if (!question) {
+    await startScreening({ ...survey, screening: null }, session, message);
+    return;
+  }
+
+  const match = matchOption(message.body, question.localizedOptions);
+  if (!match || match.ambiguous) {
+    await message.reply(t('invalidAnswer', { error: t('invalidChoice', { count: question.options.length }) }));
+    return;
+  }
+
+  const answer = question.options[match.index];
+  const qualifies = question.qualifying.includes(answer);
+
   const client = await pool.connect();
+  let updatedSession;
   try {
-    await client.query('BEGIN');
-    
-    // Get the session
-    const sessionResult = await client.query(
-      'SELECT * FROM sessions WHERE phone_number = $1 AND survey_id = $2',
-      [phoneNumber, surveyId]
-    );
-    
-    if (sessionResult.rows.length === 0) {
-      throw new Error('Session not found');
-    }
-    
-    const session = sessionResult.rows[0];
-    
-    // Delete existing responses
     await client.query(
-      'DELETE FROM responses WHERE survey_id = $1 AND participant_id = $2',
-      [surveyId, session.participant_id]
-    );
-    
-    // Reset session
-    await client.query(
-      'UPDATE sessions SET current_question = 0, stage = $1, session_data = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
-      ['survey', '{}', session.id]
+      `UPDATE survey_participants
+       SET screening_answers = COALESCE(screening_answers, '[]'::jsonb) || $1::jsonb,
+           disqualified_at = CASE WHEN $2::boolean THEN disqualified_at ELSE CURRENT_TIMESTAMP END
+       WHERE survey_id = $3 AND participant_id = $4`,
+      [JSON.stringify([{ index, question: survey.screening.questions[index].text, answer }]), qualifies, survey.id, session.participant_id]
     );
-    
-    // Reset survey_participant
-    await client.query(
-      'UPDATE survey_participants SET started_at = CURRENT_TIMESTAMP, completed_at = NULL, is_completed = FALSE, completion_duration_seconds = NULL WHERE survey_id = $1 AND participant_id = $2',
-      [surveyId, session.participant_id]
+
+    const result = await client.query(
+      `UPDATE sessions
+       SET stage = $1,
+           session_data = COALESCE(session_data, '{}') || $2::jsonb,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 RETURNING *`,
+      [
+        !qualifies ? 'disqualified' : index + 1 < screening.questions.length ? 'screening' : 'survey',
+        JSON.stringify({ screenerIndex: index + 1 }),
+        session.id
+      ]
     );
-    
-    await client.query('COMMIT');
-    
-    return sessionResult.rows[0];
-  } catch (error) {
-    await client.query('ROLLBACK');
-    throw error;
+    updatedSession = result.rows[0];
   } finally {
     client.release();
   }
-}
 
-// Add a command handler for special commands (optional)
-async function handleSpecialCommands(message, phoneNumber) {
-  const command = message.body.toLowerCase().trim();
-  
-  if (command === '/reset' || command === 'reset survey') {
-    const activeSurvey = await getActiveSurvey();
-    if (!activeSurvey) {
-      await message.reply('No active survey to reset.');
-      return true;
-    }
-    
+  if (!qualifies) {
+    logger.info(`Participant ${session.participant_id} screened out of survey ${survey.id}`);
+    await message.reply(screening.disqualifyMessage || t('disqualified'));
+    io.emit('participant-disqualified', { surveyId: survey.id });
+    return;
+  }
+
+  // The answer may put the participant in a segment whose quota is already full
+  if (survey.quotas) {
+    const quotaClient = await pool.connect();
     try {
-      await resetSession(phoneNumber, activeSurvey.id);
-      await message.reply('Your survey has been reset. Type "Hello" to start again.');
-      return true;
-    } catch (error) {
-      logger.error('Error resetting session', error);
-      await message.reply('Sorry, I couldn\'t reset your survey. Please try again later.');
-      return true;
+      if (await isOverQuota(quotaClient, survey.id, session.participant_id)) {
+        await stopOverQuota(quotaClient, updatedSession, message);
+        return;
+      }
+    } finally {
+      quotaClient.release();
     }
   }
-  
-  if (command === '/status' || command === 'status') {
-    const activeSurvey = await getActiveSurvey();
-    if (!activeSurvey) {
-      await message.reply('No active survey at the moment.');
-      return true;
-    }
-    
-    const session = await getSessionForSurvey(phoneNumber, activeSurvey.id);
-    if (!session) {
-      await message.reply(`Survey "${activeSurvey.title}" is available. Type "Hello" to start!`);
-    } else if (session.stage === 'completed') {
-      await message.reply(`You have completed the survey "${activeSurvey.title}". Thank you!`);
-    } else {
-      await message.reply(`You are currently on question ${session.current_question} of survey "${activeSurvey.title}".`);
-    }
+
+  if (updatedSession.stage === 'screening') {
+    await sendScreenerQuestion(survey, updatedSession, message, index + 1);
+  } else {
+    await sendQuestion(updatedSession, message);
+  }
+}
+
+// Completion quotas are stored as { maxCompletes, segments: [{ label, screener,
+// answers, limit }] }. A segment counts completed participants whose answer to
+// the screener question at index `screener` is one of `answers`.
+
+// Completed participants overall and per quota segment
+async function getQuotaFill(client, surveyId, quotas) {
+  const completesResult = await client.query(
+    'SELECT COUNT(*) as count FROM survey_participants WHERE survey_id = $1 AND is_completed = true',
+    [surveyId]
+  );
+
+  const segments = [];
+  for (const segment of quotas.segments || []) {
+    const result = await client.query(
+      `SELECT COUNT(*) as count
+       FROM survey_participants sp
+       WHERE sp.survey_id = $1 AND sp.is_completed = true
+         AND EXISTS (
+           SELECT 1 FROM jsonb_array_elements(COALESCE(sp.screening_answers, '[]'::jsonb)) AS screened(answer)
+           WHERE (screened.answer->>'index')::integer = $2 AND screened.answer->>'answer' = ANY($3)
+         )`,
+      [surveyId, segment.screener, segment.answers]
+    );
+    segments.push({ ...segment, completed: parseInt(result.rows[0].count) });
+  }
+
+  return {
+    completes: parseInt(completesResult.rows[0].count),
+    maxCompletes: quotas.maxCompletes || null,
+    segments
+  };
+}
+
+// Whether a participant can no longer count towards the survey: the overall
+// cap is reached, or a segment their screener answers put them in is full
+async function isOverQuota(client, surveyId, participantId) {
+  const surveyResult = await client.query('SELECT quotas FROM surveys WHERE id = $1', [surveyId]);
+  const quotas = surveyResult.rows[0] && surveyResult.rows[0].quotas;
+  if (!quotas) {
+    return false;
+  }
+
+  const fill = await getQuotaFill(client, surveyId, quotas);
+  if (fill.maxCompletes && fill.completes >= fill.maxCompletes) {
     return true;
   }
-  
-  return false;
+
+  const participantResult = await client.query(
+    'SELECT screening_answers FROM survey_participants WHERE survey_id = $1 AND participant_id = $2',
+    [surveyId, participantId]
+  );
+  const answers = (participantResult.rows[0] && participantResult.rows[0].screening_answers) || [];
+  return fill.segments.some(segment => segment.completed >= segment.limit &&
+    answers.some(answer => answer.index === segment.screener && segment.answers.includes(answer.answer)));
 }
 
-// Update the main message handler to include command handling
-async function handleWhatsAppMessageWithCommands(message) {
+// End a participant's survey because the quota they fall under is full
+async function stopOverQuota(client, session, message) {
+  await client.query(
+    `UPDATE sessions SET stage = 'over_quota', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+    [session.id]
+  );
+  await client.query(
+    'UPDATE survey_participants SET over_quota_at = CURRENT_TIMESTAMP WHERE survey_id = $1 AND participant_id = $2',
+    [session.survey_id, session.participant_id]
+  );
+
+  const { t } = await getSessionLocale(client, session);
+  await message.reply(t('quotaFull'));
+
+  logger.info(`Participant ${session.participant_id} stopped: quota full for survey ${session.survey_id}`);
+  io.emit('participant-over-quota', { surveyId: session.survey_id });
+}
+
+// Deactivate a survey once its overall completion cap is reached
+async function deactivateFullSurvey(client, surveyId) {
+  await client.query('UPDATE surveys SET is_active = false WHERE id = $1', [surveyId]);
+  await loadActiveSurveys();
+
+  logger.info(`Survey ${surveyId} reached its completion cap and was deactivated`);
+  io.emit('survey-deactivated', { surveyId, reason: 'quota' });
+}
+
+// Give a participant one code from the survey's voucher pool. Returns the code
+// they already hold if they have one, or null when the pool is empty. Codes
+// are claimed with SKIP LOCKED so two completions never get the same one, and
+// a code counts as issued by its issued_at, so it never returns to the pool.
+async function assignVoucher(client, surveyId, participantId) {
+  const existing = await client.query(
+    'SELECT id, code, sent_at FROM voucher_codes WHERE survey_id = $1 AND participant_id = $2',
+    [surveyId, participantId]
+  );
+  if (existing.rows.length > 0) {
+    return existing.rows[0];
+  }
+
+  const result = await client.query(
+    `UPDATE voucher_codes SET participant_id = $2, issued_at = CURRENT_TIMESTAMP
+     WHERE id = (
+       SELECT id FROM voucher_codes
+       WHERE survey_id = $1 AND issued_at IS NULL
+       ORDER BY id
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING id, code, sent_at`,
+    [surveyId, participantId]
+  );
+  return result.rows[0] || null;
+}
+
+// The message that gives a participant their voucher code
+async function getVoucherMessage(client, session, code) {
+  const { t } = await getSessionLocale(client, session);
+  const context = await getTemplateContext(client, session);
+  return renderTemplate(t('voucherIssued', { code, title: context.survey_title }), context);
+}
+
+// Issued and remaining codes in a survey's voucher pool
+async function getVoucherCounts(client, surveyId) {
+  const result = await client.query(
+    'SELECT COUNT(*) as total, COUNT(issued_at) as issued FROM voucher_codes WHERE survey_id = $1',
+    [surveyId]
+  );
+  const total = parseInt(result.rows[0].total);
+  const issued = parseInt(result.rows[0].issued);
+  return { total, issued, remaining: total - issued };
+}
+
+// Alert the dashboard when a survey's voucher pool is running low
+async function checkVoucherPool(client, surveyId) {
+  const counts = await getVoucherCounts(client, surveyId);
+  if (counts.total > 0 && counts.remaining <= VOUCHER_LOW_THRESHOLD) {
+    logger.warn(`Voucher pool for survey ${surveyId} is low: ${counts.remaining} of ${counts.total} codes left`);
+    io.emit('voucher-pool-low', { surveyId, ...counts });
+  }
+  return counts;
+}
+
+// Record the language picked by a new participant and start the survey
+async function handleLanguageSelection(survey, session, message) {
+  const language = parseLanguageChoice(message.body, getSurveyLanguages(survey));
+  if (!language) {
+    await sendLanguagePicker(survey, message);
+    return;
+  }
+
+  const client = await pool.connect();
+  let updatedSession;
   try {
-    const phoneNumber = message.from.replace('@c.us', '');
+    const result = await client.query(
+      `UPDATE sessions SET language = $1, stage = 'survey', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 RETURNING *`,
+      [language, session.id]
+    );
+    updatedSession = result.rows[0];
+  } finally {
+    client.release();
+  }
+
+  await startSurvey(survey, updatedSession, message);
+}
+
+// Get or create participant
+async function getOrCreateParticipant(phoneNumber) {
+  const client = await pool.connect();
+  try {
+    let result = await client.query(
+      'SELECT * FROM participants WHERE phone_number = $1',
+      [phoneNumber]
+    );
     
-    // Check for special commands first
-    const isCommand = await handleSpecialCommands(message, phoneNumber);
-    if (isCommand) {
-      return;
+    if (result.rows.length === 0) {
+      const participantCode = generateParticipantCode();
+      result = await client.query(
+        'INSERT INTO participants (phone_number, participant_code) VALUES ($1, $2) RETURNING *',
+        [phoneNumber, participantCode]
+      );
     }
     
-    // Continue with normal message handling
-    await handleWhatsAppMessage(message);
-  } catch (error) {
-    logger.error('Error in message handler', error);
-    await message.reply('Sorry, something went wrong. Please try again later.');
+    return result.rows[0];
+  } finally {
+    client.release();
+  }
+}
+
+// Generate participant code
+function generateParticipantCode() {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+  let result = '';
+  for (let i = 0; i < 8; i++) {
+    result += chars.charAt(Math.floor(Math.random() * chars.length));
   }
+  return result;
 }
 
-// Get active survey
-async function getActiveSurvey() {
+async function getSessionForSurvey(phoneNumber, surveyId) {
   const client = await pool.connect();
   try {
     const result = await client.query(
-      'SELECT * FROM surveys WHERE is_active = true LIMIT 1'
+      'SELECT * FROM sessions WHERE phone_number = $1 AND survey_id = $2',
+      [phoneNumber, surveyId]
     );
     return result.rows[0] || null;
   } finally {
@@ -515,96 +1090,3016 @@ async function getActiveSurvey() {
   }
 }
 
-// Send question to participant
-async function sendQuestion(session, message) {
+// Updated getActiveSession to only get non-completed sessions
+async function getActiveSession(phoneNumber) {
   const client = await pool.connect();
   try {
-    // Get total questions count for this survey
-    const totalQuestionsResult = await client.query(
-      'SELECT COUNT(*) as total FROM questions WHERE survey_id = $1',
-      [session.survey_id]
+    const result = await client.query(
+      'SELECT * FROM sessions WHERE phone_number = $1 AND stage != $2 ORDER BY updated_at DESC LIMIT 1',
+      [phoneNumber, 'completed']
     );
-    const totalQuestions = totalQuestionsResult.rows[0].total;
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+// Updated createSession with better error handling. Sessions created without
+// a language wait at the 'language' stage for the participant to pick one.
+async function createSession(phoneNumber, surveyId, participantId, language = null) {
+  const client = await pool.connect();
+  try {
+    // First check if session already exists
+    const existingSession = await client.query(
+      'SELECT * FROM sessions WHERE phone_number = $1 AND survey_id = $2',
+      [phoneNumber, surveyId]
+    );
+    
+    if (existingSession.rows.length > 0) {
+      // Session already exists, return it
+      logger.info(`Session already exists for phone ${phoneNumber} and survey ${surveyId}`);
+      return existingSession.rows[0];
+    }
     
+    // Create new session
     const result = await client.query(
-      'SELECT * FROM questions WHERE survey_id = $1 AND question_number = $2',
-      [session.survey_id, session.current_question + 1]
+      'INSERT INTO sessions (phone_number, survey_id, participant_id, current_question, stage, language) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+      [phoneNumber, surveyId, participantId, 0, language ? 'survey' : 'language', language]
     );
     
-    if (result.rows.length === 0) {
-      // No more questions, complete survey
-      await completeSurvey(session, message);
-      return;
+    // Create or update survey_participant entry
+    const participantSurveyCode = await client.query(
+      'SELECT get_next_participant_code($1) as code',
+      [surveyId]
+    );
+    
+    await client.query(
+      `INSERT INTO survey_participants (survey_id, participant_id, participant_survey_code) 
+       VALUES ($1, $2, $3) 
+       ON CONFLICT (survey_id, participant_id) 
+       DO UPDATE SET started_at = CURRENT_TIMESTAMP`,
+      [surveyId, participantId, participantSurveyCode.rows[0].code || generateParticipantCode()]
+    );
+    
+    return result.rows[0];
+  } catch (error) {
+    if (error.code === '23505') {
+      // Duplicate key error - session already exists
+      logger.warn(`Duplicate session detected for phone ${phoneNumber} and survey ${surveyId}`);
+      
+      // Return existing session
+      const existingSession = await client.query(
+        'SELECT * FROM sessions WHERE phone_number = $1 AND survey_id = $2',
+        [phoneNumber, surveyId]
+      );
+      
+      if (existingSession.rows.length > 0) {
+        return existingSession.rows[0];
+      }
     }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Stages a participant can't restart from, or they could retake consent or
+// the screener, or get past a full quota
+const NON_RESTARTABLE_STAGES = ['disqualified', 'declined', 'over_quota'];
+
+// Wipe a participant's answers so they can start the survey again from the
+// welcome. Returns the reset session, or null when its stage can't restart.
+async function resetSession(phoneNumber, surveyId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
     
-    const question = result.rows[0];
-    // Format: Question X/Y
-    let questionText = `Question ${question.question_number}/${totalQuestions}:\n${question.question_text}`;
+    // Get the session
+    const sessionResult = await client.query(
+      'SELECT * FROM sessions WHERE phone_number = $1 AND survey_id = $2 FOR UPDATE',
+      [phoneNumber, surveyId]
+    );
     
-    if (question.question_type === 'multiple' || question.question_type === 'curated') {
-      let options;
-      try {
-        // Try to parse as JSON first
-        options = typeof question.options === 'string' 
-          ? JSON.parse(question.options) 
-          : question.options;
-      } catch (e) {
-        // If JSON parse fails, check if it's a comma-separated string
-        if (typeof question.options === 'string' && question.options.includes(',')) {
-          options = question.options.split(',').map(opt => opt.trim());
-        } else {
-          // Default fallback options
-          options = question.question_type === 'curated' 
-            ? ['Agree', 'Neutral', 'Disagree'] 
-            : ['Option 1', 'Option 2'];
-          logger.error('Invalid options format for question', { 
-            questionId: question.id, 
-            options: question.options 
-          });
+    if (sessionResult.rows.length === 0) {
+      throw new Error('Session not found');
+    }
+    
+    const session = sessionResult.rows[0];
+    if (NON_RESTARTABLE_STAGES.includes(session.stage)) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    
+    // Delete existing responses and their revision history
+    await client.query(
+      'DELETE FROM response_revisions WHERE survey_id = $1 AND participant_id = $2',
+      [surveyId, session.participant_id]
+    );
+    await client.query(
+      'DELETE FROM responses WHERE survey_id = $1 AND participant_id = $2',
+      [surveyId, session.participant_id]
+    );
+    
+    // Reset session. It goes back through the welcome, consent and screening
+    // (and the language picker if no language was chosen yet).
+    const resetResult = await client.query(
+      `UPDATE sessions SET current_question = 0, stage = $1, session_data = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 RETURNING *`,
+      [session.language ? 'initial' : 'language', '{}', session.id]
+    );
+    
+    // Reset survey_participant, including consent and screening, which are asked again
+    await client.query(
+      `UPDATE survey_participants
+       SET started_at = CURRENT_TIMESTAMP, completed_at = NULL, is_completed = FALSE, completion_duration_seconds = NULL,
+           consent_status = NULL, consent_at = NULL, consent_version = NULL, consent_text = NULL,
+           screening_answers = '[]', disqualified_at = NULL, over_quota_at = NULL
+       WHERE survey_id = $1 AND participant_id = $2`,
+      [surveyId, session.participant_id]
+    );
+    
+    await client.query('COMMIT');
+    
+    return resetResult.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Opt-out and opt-in keywords, matched against the whole message ignoring
+// case and accents. The defaults cover English, Spanish, French and Portuguese.
+// Opt-outs are checked before any survey handling, so words that could be an
+// answer ("baja", "end", "cancel"...) must stay off the opt-out list.
+const OPT_OUT_KEYWORDS = parseKeywordList(process.env.OPT_OUT_KEYWORDS ||
+  'STOP,STOPALL,UNSUBSCRIBE,DESUSCRIBIR,DARSE DE BAJA,DESABONNER,DESINSCRIRE,DESCADASTRAR');
+const OPT_IN_KEYWORDS = parseKeywordList(process.env.OPT_IN_KEYWORDS ||
+  'START,UNSTOP,SUBSCRIBE,SUSCRIBIR,REANUDAR,COMMENCER,VOLTAR');
+
+// Normalize a comma-separated keyword list for matching
+function parseKeywordList(list) {
+  return list.split(',').map(normalizeKeyword).filter(Boolean);
+}
+
+function normalizeKeyword(text) {
+  return stripAccents(String(text).trim()).toUpperCase();
+}
+
+// Whether a number is on the do-not-contact list
+async function isOptedOut(phoneNumber) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      'SELECT 1 FROM opt_outs WHERE phone_number = $1 AND opted_in_at IS NULL',
+      [phoneNumber]
+    );
+    return result.rows.length > 0;
+  } finally {
+    client.release();
+  }
+}
+
+// Put a number on the do-not-contact list and end its open sessions. The
+// sessions are kept, marked opted_out, so their answers stay in the results.
+async function optOut(phoneNumber, keyword, source) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const sessionsResult = await client.query(
+      `UPDATE sessions
+       SET stage = 'opted_out', session_data = COALESCE(session_data, '{}') || jsonb_build_object('optedOutStage', stage)
+       WHERE phone_number = $1 AND stage = ANY($2)
+       RETURNING survey_id`,
+      [phoneNumber, IN_PROGRESS_STAGES]
+    );
+
+    await client.query(
+      `INSERT INTO opt_outs (phone_number, keyword, source, survey_id)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (phone_number)
+       DO UPDATE SET keyword = $2, source = $3, survey_id = COALESCE($4, opt_outs.survey_id),
+                     opted_out_at = CURRENT_TIMESTAMP, opted_in_at = NULL`,
+      [phoneNumber, keyword, source, sessionsResult.rows.length > 0 ? sessionsResult.rows[0].survey_id : null]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  logger.info(`Number ${phoneNumber} opted out (${source})`);
+  io.emit('opt-out-changed', { phoneNumber, optedOut: true });
+}
+
+// Take a number off the do-not-contact list. Returns false if it wasn't on it.
+async function optIn(phoneNumber) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      'UPDATE opt_outs SET opted_in_at = CURRENT_TIMESTAMP WHERE phone_number = $1 AND opted_in_at IS NULL',
+      [phoneNumber]
+    );
+    if (result.rowCount === 0) {
+      return false;
+    }
+  } finally {
+    client.release();
+  }
+
+  logger.info(`Number ${phoneNumber} opted back in`);
+  io.emit('opt-out-changed', { phoneNumber, optedOut: false });
+  return true;
+}
+
+// Handle opt-out and opt-in keywords. Opted-out numbers get no reply to
+// anything else, so this returns true for every message they send.
+async function handleOptOutKeywords(message, phoneNumber) {
+  const keyword = normalizeKeyword(message.body);
+  const optedOut = await isOptedOut(phoneNumber);
+
+  // Reply in the language of the survey they were taking, if any
+  const getTranslator = async () => {
+    const activeSurvey = await getActiveSurvey(phoneNumber);
+    if (!activeSurvey) {
+      return defaultTranslator;
+    }
+    const session = await getSessionForSurvey(phoneNumber, activeSurvey.id);
+    return createTranslator(activeSurvey, (session && session.language) || getSurveyLanguages(activeSurvey)[0]);
+  };
+
+  if (OPT_OUT_KEYWORDS.includes(keyword)) {
+    if (!optedOut) {
+      // Look up the language before the session is closed
+      const t = await getTranslator();
+      await optOut(phoneNumber, keyword, 'keyword');
+      await message.reply(t('optedOut', { keyword: OPT_IN_KEYWORDS[0] }));
+    }
+    return true;
+  }
+
+  if (optedOut) {
+    if (OPT_IN_KEYWORDS.includes(keyword)) {
+      await optIn(phoneNumber);
+      await message.reply((await getTranslator())('optedIn'));
+    }
+    return true;
+  }
+
+  return false;
+}
+
+// Commands participants can send at any point. Each one declares its keywords
+// per language (matched against the whole message, ignoring case, accents and
+// a leading "/"), the message that describes it in the help menu and a
+// handler. A handler that returns false lets the message through as an
+// ordinary reply. Surveys can switch commands off in their commands column,
+// e.g. { "skip": false }; required commands can't be switched off.
+const PARTICIPANT_COMMANDS = [
+  {
+    name: 'help',
+    keywords: { en: ['help', 'commands'], es: ['ayuda', 'comandos'], fr: ['aide', 'commandes'], pt: ['ajuda', 'comandos'] },
+    description: 'helpHelp',
+    required: true,
+    handler: handleHelpCommand
+  },
+  {
+    name: 'status',
+    keywords: { en: ['status'], es: ['estado'], fr: ['statut'], pt: ['situacao'] },
+    description: 'helpStatus',
+    handler: handleStatusCommand
+  },
+  {
+    name: 'progress',
+    keywords: { en: ['progress'], es: ['progreso'], fr: ['progression'], pt: ['progresso'] },
+    description: 'helpProgress',
+    handler: handleProgressCommand
+  },
+  {
+    // "back" re-asks the previous answered question, "change 3" a specific one
+    name: 'back',
+    keywords: { en: ['back'], es: ['atras'], fr: ['retour'], pt: ['voltar'] },
+    pattern: /^(?:change|edit|cambiar|modifier|mudar)\s+(?:q(?:uestion)?\s*)?(\d+)$/,
+    description: 'helpBack',
+    handler: handleBackCommand
+  },
+  {
+    name: 'skip',
+    keywords: { en: ['skip'], es: ['saltar'], fr: ['passer'], pt: ['pular'] },
+    description: 'helpSkip',
+    handler: handleSkipCommand
+  },
+  {
+    name: 'pause',
+    keywords: { en: ['pause'], es: ['pausa'], fr: ['pause'], pt: ['pausa'] },
+    description: 'helpPause',
+    handler: handlePauseCommand
+  },
+  {
+    name: 'resume',
+    keywords: { en: ['resume', 'continue'], es: ['continuar'], fr: ['reprendre'], pt: ['continuar'] },
+    description: 'helpResume',
+    handler: handleResumeCommand
+  },
+  {
+    name: 'restart',
+    keywords: { en: ['restart', 'reset', 'reset survey'], es: ['reiniciar'], fr: ['recommencer'], pt: ['reiniciar'] },
+    confirmKeywords: { en: ['yes'], es: ['si'], fr: ['oui'], pt: ['sim'] },
+    description: 'helpRestart',
+    handler: handleRestartCommand
+  }
+];
+
+// Restarts waiting for the participant to confirm, by phone number
+const pendingRestarts = new Map();
+const RESTART_CONFIRM_MINUTES = 5;
+
+// Find the command a message invokes, with the pattern match if any
+function findParticipantCommand(text) {
+  const normalized = normalizeKeyword(text).replace(/^\//, '').replace(/\s+/g, ' ');
+  for (const command of PARTICIPANT_COMMANDS) {
+    if (Object.values(command.keywords).flat().map(normalizeKeyword).includes(normalized)) {
+      return { command, match: null };
+    }
+    const match = command.pattern && normalized.toLowerCase().match(command.pattern);
+    if (match) {
+      return { command, match };
+    }
+  }
+  return null;
+}
+
+// Whether a survey allows a command. Without a survey every command is on.
+function isCommandEnabled(survey, command) {
+  return command.required || !survey || (survey.commands || {})[command.name] !== false;
+}
+
+// A command's first keyword in the participant's language, for prompts
+function getCommandKeyword(command, language, field = 'keywords') {
+  return (command[field][language] || command[field].en)[0].toUpperCase();
+}
+
+// The survey, session and translator a command works with
+async function getCommandContext(phoneNumber, message) {
+  const survey = await getActiveSurvey(phoneNumber);
+  const session = survey ? await getSessionForSurvey(phoneNumber, survey.id) : null;
+  const language = (session && session.language) || (survey ? getSurveyLanguages(survey)[0] : 'en');
+  return {
+    phoneNumber,
+    message,
+    survey,
+    session,
+    language,
+    t: survey ? createTranslator(survey, language) : defaultTranslator
+  };
+}
+
+// Handle opt-out keywords and participant commands. Returns true when the
+// message was a command and needs no further handling.
+async function handleSpecialCommands(message, phoneNumber) {
+  // STOP and the like end everything, even mid-question
+  if (await handleOptOutKeywords(message, phoneNumber)) {
+    return true;
+  }
+  
+  // A restart waiting for confirmation takes this reply
+  if (pendingRestarts.has(phoneNumber)) {
+    const handled = await handleRestartConfirmation(message, phoneNumber);
+    if (handled) {
+      return true;
+    }
+  }
+  
+  const found = findParticipantCommand(message.body);
+  if (!found) {
+    return false;
+  }
+  
+  // A command the survey switched off is just an ordinary reply
+  const context = await getCommandContext(phoneNumber, message);
+  if (!isCommandEnabled(context.survey, found.command)) {
+    return false;
+  }
+  
+  const handled = await found.command.handler({ ...context, match: found.match });
+  return handled !== false;
+}
+
+// List the commands the participant's survey allows
+async function handleHelpCommand({ survey, language, t, message }) {
+  const lines = PARTICIPANT_COMMANDS
+    .filter(command => isCommandEnabled(survey, command))
+    .map(command => `• ${getCommandKeyword(command, language)} – ${t(command.description)}`);
+  await message.reply(`${t('helpHeader')}\n\n${lines.join('\n')}\n\n${t('helpOptOut', { keyword: OPT_OUT_KEYWORDS[0] })}`);
+}
+
+// Tell the participant where they are in their survey
+async function handleStatusCommand({ survey, session, t, message }) {
+  if (!survey) {
+    await message.reply((await getActiveSurveys()).length > 0 ? t('statusChooseSurvey') : t('statusNoSurvey'));
+    return;
+  }
+  
+  const vars = { title: survey.title, number: session ? session.current_question : 0 };
+  if (!session) {
+    await message.reply(t('statusAvailable', vars));
+  } else if (session.stage === 'completed') {
+    await message.reply(t('statusCompleted', vars));
+  } else if (session.stage === 'declined' || session.stage === 'disqualified' || session.stage === 'over_quota') {
+    await message.reply(t('statusNotTaking', vars));
+  } else if (session.stage === 'abandoned' || session.stage === 'opted_out') {
+    await message.reply(t('statusClosed', vars));
+  } else if (session.stage === 'language' || session.stage === 'consent' || session.stage === 'screening') {
+    await message.reply(t('statusBeforeQuestions', vars));
+  } else {
+    await message.reply(t('statusOnQuestion', vars));
+  }
+}
+
+// How many questions the participant has answered so far
+async function handleProgressCommand({ session, t, message }) {
+  if (!session || (!IN_PROGRESS_STAGES.includes(session.stage) && session.stage !== 'completed')) {
+    await message.reply(t('notStarted'));
+    return;
+  }
+  
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT
+         (SELECT COUNT(DISTINCT question_id) FROM responses WHERE survey_id = $1 AND participant_id = $2) as answered,
+         (SELECT COUNT(*) FROM questions WHERE survey_id = $1) as total`,
+      [session.survey_id, session.participant_id]
+    );
+    // Questions bypassed by routing don't count towards the total
+    const skipped = ((session.session_data || {}).skippedQuestions || []).length;
+    const answered = parseInt(result.rows[0].answered);
+    const total = Math.max(answered, parseInt(result.rows[0].total) - skipped, 1);
+    const percent = Math.round(100 * answered / total);
+    const filled = Math.round(percent / 10);
+    
+    await message.reply(t('progress', {
+      answered,
+      total,
+      percent,
+      bar: '▓'.repeat(filled) + '░'.repeat(10 - filled)
+    }));
+  } finally {
+    client.release();
+  }
+}
+
+// Go back to the previous answer, or to the question given with "change 3"
+async function handleBackCommand({ session, t, message, match }) {
+  if (!session) {
+    await message.reply(t('notStarted'));
+    return;
+  }
+  if (session.stage === 'completed') {
+    await message.reply(t('changeAfterCompletion'));
+    return;
+  }
+
+  try {
+    await handleChangeAnswer(session, message, match ? parseInt(match[1]) : null);
+  } catch (error) {
+    logger.error('Error changing answer', error);
+    await message.reply(t('changeFailed'));
+  }
+}
+
+// Move past the current question without answering it. Skipped questions are
+// kept in session_data.declinedQuestions so results can tell them apart
+// from questions bypassed by routing.
+async function handleSkipCommand({ session, t, message }) {
+  if (!session) {
+    return false;
+  }
+  // A follow-up is skipped by the follow-up handler as before
+  if (session.stage === 'followup') {
+    return false;
+  }
+  if (session.stage !== 'survey' || !session.current_question) {
+    await message.reply(t('skipNotAvailable'));
+    return;
+  }
+  
+  const client = await pool.connect();
+  try {
+    const sessionData = session.session_data || {};
+    const questionResult = await client.query(
+      'SELECT * FROM questions WHERE survey_id = $1 AND question_number = $2',
+      [session.survey_id, getQuestionNumberAt(sessionData.questionOrder, session.current_question)]
+    );
+    if (questionResult.rows.length === 0) {
+      return false;
+    }
+    const question = withQuestionPosition(session, questionResult.rows[0]);
+    
+    // A skipped question routes like an answer that matches no value, so
+    // "always" and "is not" rules still apply. Skipping a question re-asked
+    // by "back" picks up where they left off.
+    await applyRouting(client, session, question, []);
+    
+    const declinedQuestions = new Set(sessionData.declinedQuestions || []);
+    declinedQuestions.add(question.id);
+    const sessionResult = await client.query(
+      `UPDATE sessions
+       SET session_data = COALESCE(session_data, '{}') || $1::jsonb
+       WHERE id = $2
+       RETURNING *`,
+      [JSON.stringify({ declinedQuestions: Array.from(declinedQuestions) }), session.id]
+    );
+    
+    await message.reply(t('questionSkipped'));
+    await sendQuestion(sessionResult.rows[0], message);
+  } finally {
+    client.release();
+  }
+}
+
+// Pause a survey: no reminders are sent until the participant is back
+async function handlePauseCommand({ session, language, t, message }) {
+  if (!session || !IN_PROGRESS_STAGES.includes(session.stage)) {
+    await message.reply(t('notStarted'));
+    return;
+  }
+  
+  const client = await pool.connect();
+  try {
+    // Commands skip the activity bookkeeping of answers, so reset the idle
+    // clock here too
+    await client.query(
+      `UPDATE sessions
+       SET session_data = COALESCE(session_data, '{}') || '{"paused": true}'::jsonb,
+           last_activity_at = CURRENT_TIMESTAMP, reminder_count = 0, last_reminder_at = NULL
+       WHERE id = $1`,
+      [session.id]
+    );
+  } finally {
+    client.release();
+  }
+  
+  const resume = PARTICIPANT_COMMANDS.find(command => command.name === 'resume');
+  await message.reply(t('paused', { keyword: getCommandKeyword(resume, language) }));
+}
+
+// Pick a paused survey back up by re-sending the current question. When the
+// survey isn't paused, "continue" is an ordinary reply.
+async function handleResumeCommand({ survey, session, t, message }) {
+  if (!session || !(session.session_data || {}).paused) {
+    return false;
+  }
+  
+  const client = await pool.connect();
+  let resumed;
+  try {
+    // Reminders and expiry count from the resume, not from before the pause
+    const sessionResult = await client.query(
+      `UPDATE sessions
+       SET session_data = session_data - 'paused',
+           last_activity_at = CURRENT_TIMESTAMP, reminder_count = 0, last_reminder_at = NULL
+       WHERE id = $1 RETURNING *`,
+      [session.id]
+    );
+    resumed = sessionResult.rows[0];
+  } finally {
+    client.release();
+  }
+  
+  if (resumed.stage === 'survey' && resumed.current_question > 0) {
+    await message.reply(t('resumed'));
+    await sendQuestion({
+      ...resumed,
+      session_data: { ...resumed.session_data, nextQuestion: resumed.current_question }
+    }, message);
+  } else {
+    await message.reply(t('surveyResumed', { title: survey.title }));
+  }
+}
+
+// Ask the participant to confirm before their answers are wiped
+async function handleRestartCommand({ phoneNumber, survey, session, language, t, message }) {
+  if (!session) {
+    await message.reply(t('notStarted'));
+    return;
+  }
+  
+  // Consent, screening and quotas can't be got around by restarting
+  if (NON_RESTARTABLE_STAGES.includes(session.stage)) {
+    await message.reply(t('restartNotAllowed'));
+    return;
+  }
+  
+  pendingRestarts.set(phoneNumber, {
+    surveyId: survey.id,
+    expiresAt: Date.now() + RESTART_CONFIRM_MINUTES * 60 * 1000
+  });
+  const restart = PARTICIPANT_COMMANDS.find(command => command.name === 'restart');
+  await message.reply(t('confirmRestart', { keyword: getCommandKeyword(restart, language, 'confirmKeywords') }));
+}
+
+// The reply to a restart confirmation: yes restarts, anything else cancels.
+// Returns false once the confirmation has expired so the message is handled
+// normally.
+async function handleRestartConfirmation(message, phoneNumber) {
+  const pending = pendingRestarts.get(phoneNumber);
+  pendingRestarts.delete(phoneNumber);
+  if (pending.expiresAt < Date.now()) {
+    return false;
+  }
+  
+  const { t } = await getCommandContext(phoneNumber, message);
+  const restart = PARTICIPANT_COMMANDS.find(command => command.name === 'restart');
+  const confirmed = Object.values(restart.confirmKeywords).flat().map(normalizeKeyword)
+    .includes(normalizeKeyword(message.body));
+  if (!confirmed) {
+    await message.reply(t('restartCancelled'));
+    return true;
+  }
+  
+  let session;
+  try {
+    session = await resetSession(phoneNumber, pending.surveyId);
+  } catch (error) {
+    logger.error('Error resetting session', error);
+    await message.reply(t('restartFailed'));
+    return true;
+  }
+  if (!session) {
+    await message.reply(t('restartNotAllowed'));
+    return true;
+  }
+  
+  await message.reply(t('restarted'));
+  const survey = activeSurveys.get(pending.surveyId);
+  if (survey) {
+    if (session.stage === 'language') {
+      await sendLanguagePicker(survey, message);
+    } else {
+      await startSurvey(survey, session, message);
+    }
+  }
+  return true;
+}
+
+// Re-ask an earlier question so the participant can change their answer.
+// questionNumber is null for "back", which picks the latest answered question
+// before the current one.
+async function handleChangeAnswer(session, message, questionNumber) {
+  const client = await pool.connect();
+  try {
+    const answeredResult = await client.query(
+      `SELECT DISTINCT q.question_number
+       FROM responses r
+       JOIN questions q ON r.question_id = q.id
+       WHERE r.survey_id = $1 AND r.participant_id = $2
+       ORDER BY q.question_number`,
+      [session.survey_id, session.participant_id]
+    );
+    // Participants refer to questions by the position they were shown in
+    const questionOrder = (session.session_data || {}).questionOrder;
+    const answered = answeredResult.rows
+      .map(row => getQuestionPosition(questionOrder, row.question_number))
+      .sort((a, b) => a - b);
+
+    const { t } = await getSessionLocale(client, session);
+    let target = questionNumber;
+    if (target === null) {
+      const earlier = answered.filter(number => number < session.current_question);
+      target = earlier.length > 0 ? earlier[earlier.length - 1] : null;
+      if (target === null) {
+        await message.reply(t('noEarlierAnswer'));
+        return;
+      }
+    } else if (!answered.includes(target) && target !== session.current_question) {
+      await message.reply(answered.length > 0
+        ? t('changeAnsweredOnly', { questions: answered.join(', ') })
+        : t('noAnswersYet'));
+      return;
+    }
+
+    // Drop any half-finished follow-up or voice confirmation and point the
+    // session at the question being changed
+    await client.query(
+      `UPDATE sessions
+       SET stage = 'survey',
+           session_data = (COALESCE(session_data, '{}') - 'pendingVoiceResponse' - 'currentProbe' - 'probeCount') || $1::jsonb,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [JSON.stringify({ nextQuestion: target, editing: { questionNumber: target } }), session.id]
+    );
+
+    const sessionResult = await client.query('SELECT * FROM sessions WHERE id = $1', [session.id]);
+    await message.reply(t('changingAnswer', { number: target }));
+    await sendQuestion(sessionResult.rows[0], message);
+  } finally {
+    client.release();
+  }
+}
+
+// After an earlier answer is changed, follow the routing from it past questions
+// that already have answers, so the participant resumes at the first unanswered
+// question on the (possibly new) path
+async function findResumeQuestion(client, session, nextQuestion) {
+  const result = await client.query(
+    `SELECT q.*, r.answer, r.answer_data
+     FROM questions q
+     LEFT JOIN responses r ON r.question_id = q.id AND r.participant_id = $2 AND r.sub_item <= 1
+     WHERE q.survey_id = $1`,
+    [session.survey_id, session.participant_id]
+  );
+  // Routing works with displayed positions, so key questions by position
+  const questionsByNumber = new Map(result.rows.map(row => {
+    const question = withQuestionPosition(session, row);
+    return [question.question_number, question];
+  }));
+
+  let target = nextQuestion;
+  const visited = new Set();
+  while (target !== 'end' && questionsByNumber.has(target) && !visited.has(target)) {
+    const question = questionsByNumber.get(target);
+    if (question.answer === null) {
+      break;
+    }
+    visited.add(target);
+    target = resolveNextQuestion(question, getRoutingAnswer(question.answer, question.answer_data));
+  }
+
+  return target;
+}
+
+// Inbound messages are handled one at a time per phone number, in arrival
+// order, so two quick replies (or a voice note and a text) can't race each
+// other through the session. Different numbers are still handled concurrently.
+// The queues live in memory, which is enough for the single WhatsApp client.
+const messageQueues = new Map();
+const MESSAGE_WAIT_SAMPLES = 100;
+const messageQueueStats = {
+  processed: 0,
+  maxDepth: 0,
+  // Wait times in ms of the latest messages, for /health
+  recentWaits: []
+};
+
+// Run a message handler after the phone number's earlier messages are done
+function enqueueMessage(phoneNumber, handler) {
+  const queue = messageQueues.get(phoneNumber) || { tail: Promise.resolve(), depth: 0 };
+  messageQueues.set(phoneNumber, queue);
+  queue.depth++;
+  messageQueueStats.maxDepth = Math.max(messageQueueStats.maxDepth, queue.depth);
+
+  const queuedAt = Date.now();
+  const run = queue.tail.then(async () => {
+    messageQueueStats.recentWaits.push(Date.now() - queuedAt);
+    if (messageQueueStats.recentWaits.length > MESSAGE_WAIT_SAMPLES) {
+      messageQueueStats.recentWaits.shift();
+    }
+
+    try {
+      await handler();
+    } finally {
+      messageQueueStats.processed++;
+      queue.depth--;
+      if (queue.depth === 0) {
+        messageQueues.delete(phoneNumber);
+      }
+    }
+  });
+
+  // A failed message must not hold up the ones behind it
+  queue.tail = run.catch(error => {
+    logger.error(`Error handling queued message from ${phoneNumber}`, error);
+  });
+  return queue.tail;
+}
+
+// Queue depth and wait times for /health
+function getMessageQueueStats() {
+  const depths = [...messageQueues.values()].map(queue => queue.depth);
+  const waits = messageQueueStats.recentWaits;
+  return {
+    activeParticipants: depths.length,
+    queuedMessages: depths.reduce((sum, depth) => sum + depth, 0),
+    deepestQueue: Math.max(0, ...depths),
+    maxDepthSinceStart: messageQueueStats.maxDepth,
+    processed: messageQueueStats.processed,
+    averageWaitMs: waits.length > 0 ? Math.round(waits.reduce((sum, wait) => sum + wait, 0) / waits.length) : 0,
+    maxWaitMs: Math.max(0, ...waits)
+  };
+}
+
+// Update the main message handler to include command handling
+async function handleWhatsAppMessageWithCommands(message) {
+  try {
+    const phoneNumber = message.from.replace('@c.us', '');
+    
+    // Check for special commands first
+    const isCommand = await handleSpecialCommands(message, phoneNumber);
+    if (isCommand) {
+      return;
+    }
+    
+    // Continue with normal message handling
+    await handleWhatsAppMessage(message);
+  } catch (error) {
+    logger.error('Error in message handler', error);
+    await message.reply('Sorry, something went wrong. Please try again later.');
+  }
+}
+
+// Get active surveys, oldest first so menu numbers stay put
+async function getActiveSurveys() {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      'SELECT * FROM surveys WHERE is_active = true ORDER BY created_at'
+    );
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+// Get the active survey a phone number is taking: the one with the session
+// they were last active in (open sessions first), else the only active survey
+async function getActiveSurvey(phoneNumber) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT sv.*
+       FROM sessions s
+       JOIN surveys sv ON sv.id = s.survey_id
+       WHERE s.phone_number = $1 AND sv.is_active = true
+       ORDER BY s.stage = ANY($2) DESC, s.last_activity_at DESC NULLS LAST
+       LIMIT 1`,
+      [phoneNumber, IN_PROGRESS_STAGES]
+    );
+    if (result.rows.length > 0) {
+      return result.rows[0];
+    }
+  } finally {
+    client.release();
+  }
+
+  const surveys = await getActiveSurveys();
+  return surveys.length === 1 ? surveys[0] : null;
+}
+
+// Participant-facing copy in the default language. Surveys can translate or
+// override any key per language in translations[language].messages;
+// {{placeholders}} are filled in by formatMessage
+const SYSTEM_MESSAGES = {
+  chooseLanguage: 'Please choose your language:',
+  welcome: 'Hi! 👋 Thanks for participating in our survey: "{{title}}"\n\nThis should take about {{estimatedTime}}.\n\nMade a mistake? Reply "back" or "change <question number>" at any time to change an answer.\n\nLet\'s get started!',
+  alreadyCompleted: 'Thank you! You have already completed this survey. 🎉\n\nWe appreciate your participation!',
+  consentPrompt: '{{text}}\n\nDo you agree to take part?\n1. {{agree}}\n2. {{decline}}',
+  consentAgree: 'I agree',
+  consentDecline: 'I do not agree',
+  consentInvalid: 'Please reply 1 if you agree to take part, or 2 if you do not.',
+  consentDeclined: 'No problem, thank you for your time. You won\'t receive any survey questions.',
+  alreadyDeclined: 'You chose not to take part in this survey. Thank you for your time.',
+  disqualified: 'Thank you for your interest. Unfortunately you are not eligible for this survey.',
+  quotaFull: 'Thank you for your interest! We already have all the responses we need for this survey, so it is now closed. We appreciate your time. 🙏',
+  optedOut: 'You have been unsubscribed and won\'t receive any more messages from us. Reply {{keyword}} if you change your mind.',
+  optedIn: 'You are subscribed again. Send any message to continue.',
+  leftSurvey: 'You left the survey "{{title}}" earlier. Type "restart" to start again.',
+  helpHeader: 'Commands you can send at any time:',
+  helpHelp: 'show this list',
+  helpStatus: 'where you are in the survey',
+  helpProgress: 'how much of the survey you have done',
+  helpBack: 'change your last answer (or CHANGE and a question number)',
+  helpSkip: 'skip the current question',
+  helpPause: 'pause the survey, with no reminders until you are back',
+  helpResume: 'continue a paused survey',
+  helpRestart: 'start the survey again from the beginning',
+  helpOptOut: 'Send {{keyword}} to stop all messages from us.',
+  notStarted: 'You haven\'t started a survey yet. Type "Hello" to begin!',
+  statusNoSurvey: 'No active survey at the moment.',
+  statusChooseSurvey: 'You haven\'t started a survey yet. Send any message to see the open surveys.',
+  statusAvailable: 'Survey "{{title}}" is available. Type "Hello" to start!',
+  statusCompleted: 'You have completed the survey "{{title}}". Thank you!',
+  statusNotTaking: 'You are not taking part in the survey "{{title}}".',
+  statusClosed: 'Your session for the survey "{{title}}" has closed. Type "restart" to start over.',
+  statusBeforeQuestions: 'You haven\'t started the questions of survey "{{title}}" yet. Please answer the last message to continue.',
+  statusOnQuestion: 'You are currently on question {{number}} of survey "{{title}}".',
+  progress: 'You have answered {{answered}} of {{total}} questions ({{percent}}%).\n{{bar}}',
+  noEarlierAnswer: 'There is no earlier answer to go back to.',
+  changeAnsweredOnly: 'You can only change questions you have already answered ({{questions}}).',
+  noAnswersYet: 'You haven\'t answered any questions yet.',
+  changingAnswer: 'Sure! Let\'s change your answer to question {{number}}. Afterwards we\'ll pick up where you left off.',
+  changeAfterCompletion: 'You have already completed this survey, so answers can no longer be changed. Thank you!',
+  changeFailed: 'Sorry, I couldn\'t go back to that question. Please try again.',
+  skipNotAvailable: 'There is no question to skip right now.',
+  questionSkipped: 'OK, skipping that one.',
+  paused: 'Your survey is paused ⏸️ We won\'t send reminders or close your session. Send {{keyword}} when you want to carry on.',
+  resumed: 'Welcome back! Here\'s where you left off:',
+  confirmRestart: 'Restarting deletes your answers so far. Reply {{keyword}} to start again from the beginning, or anything else to carry on.',
+  restartCancelled: 'OK, we\'ll carry on where you left off.',
+  restarted: 'Your survey has been reset. Let\'s start again from the beginning.',
+  restartFailed: 'Sorry, I couldn\'t reset your survey. Please try again later.',
+  restartNotAllowed: 'Sorry, your answers to this survey can\'t be reset.',
+  surveyMenu: 'Which survey would you like to take?\n\n{{surveys}}\n\nReply with the number of the survey.',
+  unknownSurveyCode: 'Sorry, "{{code}}" isn\'t the code of an open survey.',
+  surveyResumed: 'Welcome back to "{{title}}"! Please reply to the last question to continue.',
+  reminder: 'Hi! 👋 You\'re part-way through our survey "{{title}}". Just reply to the last question whenever you\'re ready to continue.',
+  sessionExpired: 'Your session for the survey "{{title}}" has closed because we didn\'t hear back. Thank you for the answers you gave! 🙏',
+  intro: '',
+  invalidAnswer: '{{error}}',
+  followUpPrompt: '{{probe}}\n\n{{instructions}}',
+  surveyClosed: 'Sorry, no surveys are currently active. Please check back later.',
+  completion: '🎉 Thank you for completing the survey! Your responses have been recorded.\n\nHave a great day! 😊',
+  voucherIssued: '🎁 As a thank-you, here is your voucher code:\n\n*{{code}}*\n\nPlease keep this message.',
+  voucherUnavailable: 'Sorry, we\'ve run out of voucher codes for this survey. Our team has been notified.',
+  questionLoadError: 'Sorry, there was an error loading the question. Please try again.',
+  startOver: 'Something went wrong. Please start over.',
+  tryAgain: 'Sorry, something went wrong. Please try again.',
+  questionHeader: 'Question {{number}}/{{total}}:',
+  replyWithChoice: 'Please reply with the number of your choice (1, 2, 3...)',
+  multiSelectPrompt: 'Please reply with the numbers of all options that apply, separated by commas (e.g. 1, 3)',
+  multiSelectBetween: 'Choose between {{min}} and {{max}} options.',
+  multiSelectAtLeast: 'Choose at least {{min}} options.',
+  multiSelectUpTo: 'Choose up to {{max}} options.',
+  rankingTopPrompt: 'Please reply with the numbers of your top {{count}} choices, most preferred first (e.g. {{example}})',
+  rankingAllPrompt: 'Please reply with all {{count}} option numbers in order of preference, most preferred first (e.g. {{example}})',
+  ratePrompt: 'Rate from {{min}} to {{max}}',
+  scaleLabels: '({{min}} = {{minLabel}}, {{max}} = {{maxLabel}})',
+  replyWithRating: 'Please reply with a number',
+  matrixRatePrompt: 'Rate each statement from {{min}} to {{max}}',
+  matrixReplyPrompt: 'Please reply with {{count}} ratings in order, separated by spaces (e.g. {{example}})',
+  npsLabels: '({{min}} = Not at all likely, {{max}} = Extremely likely)',
+  npsReplyPrompt: 'Please reply with a number from {{min}} to {{max}}',
+  textPrompt: 'Please provide your answer in text or voice message.',
+  photoPrompt: 'Please send a photo 📷 (take one with the camera or attach one from your gallery).',
+  documentPrompt: 'Please send a document 📄 (tap the attachment icon and choose Document).',
+  locationPrompt: 'Please share a location 📍 (tap the attachment icon and choose Location).',
+  expectedPhoto: 'This question needs a photo. Please send a picture instead of a message.',
+  expectedDocument: 'This question needs a document. Please tap the attachment icon, choose Document and send the file.',
+  expectedLocation: 'This question needs a location. Please tap the attachment icon, choose Location and share it.',
+  attachmentNotExpected: 'Sorry, I can\'t use a file or location for this question. Please reply with a message instead.',
+  attachmentTooLarge: 'That file is too large. Please send one smaller than {{size}} MB.',
+  attachmentError: 'Sorry, I couldn\'t save that file. Please try sending it again.',
+  numberPrompt: 'Please reply with a number{{range}}',
+  wholeNumberPrompt: 'Please reply with a whole number{{range}}',
+  rangeBetween: ' between {{min}} and {{max}}',
+  rangeAtLeast: ' of at least {{min}}',
+  rangeAtMost: ' no greater than {{max}}',
+  datePrompt: 'Please reply with a date in the format {{format}} (e.g. {{example}})',
+  invalidDate: 'Please reply with a valid date in the format {{format}} (e.g. {{example}}).',
+  dateTooEarly: 'Please reply with a date on or after {{date}}.',
+  dateTooLate: 'Please reply with a date on or before {{date}}.',
+  emailPrompt: 'Please reply with an email address (e.g. name@example.com)',
+  invalidEmail: 'That doesn\'t look like an email address. Please reply with an address like name@example.com.',
+  phonePrompt: 'Please reply with a phone number, including the country code (e.g. +254712345678)',
+  invalidPhone: 'That doesn\'t look like a phone number. Please reply with the number including the country code (e.g. +254712345678).',
+  yes: 'Yes',
+  no: 'No',
+  yesNoPrompt: '1. {{yes}}\n2. {{no}}\n\nPlease reply {{yes}} or {{no}}',
+  invalidYesNo: 'Please reply {{yes}} or {{no}} (or 1 for {{yes}}, 2 for {{no}}).',
+  invalidChoice: 'Please reply with a number between 1 and {{count}}, or the name of your choice.',
+  didYouMean: 'Did you mean {{choices}}?\n\nPlease reply with the number of your choice.',
+  or: 'or',
+  invalidRating: 'Please reply with a number between {{min}} and {{max}}.',
+  invalidNps: 'Please reply with a whole number from {{min}} to {{max}}.',
+  invalidMultiSelect: 'Please reply with the numbers of your choices between 1 and {{count}}, separated by commas (e.g. 1, 3).',
+  multiSelectTooFew: 'Please choose at least {{min}} options.',
+  multiSelectTooMany: 'Please choose no more than {{max}} options.',
+  invalidRankingTop: 'Please reply with the numbers of your top {{rankCount}} choices between 1 and {{count}}, most preferred first (e.g. {{example}}).',
+  invalidRankingAll: 'Please reply with each option number from 1 to {{count}} once, most preferred first (e.g. {{example}}).',
+  rankingDuplicate: 'You ranked option {{choice}} more than once.',
+  matrixCount: 'Please reply with {{count}} ratings from {{min}} to {{max}}, one per statement in order (you sent {{sent}}).',
+  matrixInvalidRow: 'Row {{row}} ("{{statement}}"): "{{value}}" is not a rating from {{min}} to {{max}}. Please send all {{count}} ratings again.',
+  staleSelection: 'That selection belongs to an earlier question. Please answer the current question.',
+  interactiveButtonsFooter: 'Tap a button or type your answer',
+  interactiveListButton: 'Choose an answer',
+  interactiveListFooter: 'Or type your answer',
+  voiceHeard: 'I heard: "{{text}}"',
+  voiceConfirm: 'Is this correct?\n1. {{yes}}\n2. {{no}}, let me try again',
+  voiceNotUnderstood: 'Sorry, I couldn\'t understand the voice message. Please try again or type your response.',
+  voiceUnavailable: 'Voice transcription is not available. Please type your response instead.',
+  voiceError: 'Sorry, there was an error processing your voice message. Please try again or type your response.',
+  voiceLost: 'Sorry, I lost track of your response. Please answer the question again.',
+  voiceRetry: 'No problem! Please send your voice message again or type your answer.',
+  voiceConfirmInvalid: 'Please reply with:\n1. {{yes}}\n2. {{no}}, let me try again',
+  voiceSaved: 'Got it, thank you! 🙏',
+  acknowledgeResponse: 'Thank you for your response.',
+  acknowledgeAgree: 'Thank you for sharing that you agree with the statement.',
+  acknowledgeDisagree: 'Thank you for sharing that you disagree with the statement.',
+  acknowledgeUndecided: 'Thank you for sharing that you\'re undecided about this statement.',
+  tellMeMore: 'Can you tell me more about your response?',
+  followUpAgree: 'Thank you for sharing that you agree with the statement. Can you tell me more about why you agree?',
+  followUpDisagree: 'Thank you for sharing that you disagree with the statement. Can you tell me more about why you disagree?',
+  followUpUndecided: 'Thank you for sharing that you\'re undecided about this statement. Can you tell me more about why you\'re undecided?',
+  followUpAnswer: 'Thank you for your answer: "{{answer}}". Can you tell me more about your response?',
+  followUpChoice: 'Thank you for selecting "{{answer}}". Can you tell me more about why you chose this option?',
+  followUpChoices: 'Thank you for selecting "{{answer}}". Can you tell me more about why you chose these options?',
+  followUpRating: 'Thank you for giving a rating of {{answer}}. Can you tell me more about why you gave this rating?',
+  followUpMatrix: 'Thank you for rating all {{count}} statements. Is there anything behind your ratings you\'d like to tell me more about?',
+  followUpRanking: 'Thank you for ranking "{{answer}}" first. Can you tell me more about why it matters most to you?',
+  followUpNps: 'Thank you for giving a score of {{answer}}. What is the main reason for your score?',
+  followUpText: 'Thank you for your response. Would you like to elaborate on your answer?',
+  followUpAttachment: 'Thank you for sharing that! Is there anything you\'d like to tell me about it?',
+  followUpInstructions: 'You can:\n🎤 Send a voice message (I\'ll transcribe it)\n💬 Type your response\n⏭️ Type \'{{skip}}\' to continue\n\nI\'d love to hear your thoughts!',
+  skipHint: '⏭️ Type \'{{skip}}\' to continue',
+  skipKeyword: 'skip',
+  followUpSkipped: 'No problem! Let\'s continue with the next question.',
+  followUpThanks: 'Thank you for sharing your thoughts! 🙏'
+};
+
+// Display names for the language picker, in each language's own script
+const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Español',
+  fr: 'Français',
+  pt: 'Português',
+  de: 'Deutsch',
+  it: 'Italiano',
+  nl: 'Nederlands',
+  sw: 'Kiswahili',
+  ar: 'العربية',
+  hi: 'हिन्दी',
+  zh: '中文',
+  ru: 'Русский',
+  tr: 'Türkçe',
+  id: 'Bahasa Indonesia'
+};
+
+// Greetings that identify a participant's language from their first message
+const LANGUAGE_GREETINGS = {
+  en: ['hi', 'hello', 'hey', 'good morning', 'good afternoon', 'good evening'],
+  es: ['hola', 'buenos dias', 'buenas tardes', 'buenas noches', 'buenas'],
+  fr: ['bonjour', 'salut', 'bonsoir', 'coucou'],
+  pt: ['ola', 'oi', 'bom dia', 'boa tarde', 'boa noite'],
+  de: ['hallo', 'guten tag', 'guten morgen', 'guten abend', 'servus', 'moin'],
+  it: ['ciao', 'buongiorno', 'buonasera', 'salve'],
+  nl: ['hoi', 'goedemorgen', 'goedemiddag', 'goedenavond'],
+  sw: ['habari', 'jambo', 'hujambo', 'mambo', 'salama']
+};
+
+// Survey languages in order; the first one is the survey's default
+function getSurveyLanguages(survey) {
+  const languages = Array.isArray(survey && survey.languages) ? survey.languages.filter(Boolean) : [];
+  return languages.length > 0 ? languages : ['en'];
+}
+
+// Name shown for a language code, e.g. "Español" for "es"
+function getLanguageName(language) {
+  return LANGUAGE_NAMES[language] || LANGUAGE_NAMES[language.split('-')[0]] || language;
+}
+
+// Fill {{placeholders}} in a message, leaving unknown ones untouched
+function formatMessage(template, vars = {}) {
+  return String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) =>
+    vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : placeholder);
+}
+
+// Build t(key, vars) for a survey language: the survey's translation of the
+// message if it has one, then the survey's own template, otherwise the
+// built-in default
+function createTranslator(survey, language) {
+  const translations = (survey && survey.translations) || {};
+  const messages = (translations[language] && translations[language].messages) || {};
+  const templates = (survey && survey.messages) || {};
+
+  return (key, vars = {}) => formatMessage(
+    messages[key] || templates[key] || (key in SYSTEM_MESSAGES ? SYSTEM_MESSAGES[key] : key),
+    vars
+  );
+}
+
+// Messages survey authors can rewrite in the builder, with the placeholders
+// each one fills in. Messages with piping also take the participant variables
+// ({{participant_code}}, {{survey_title}}, {{attr.name}}), and with 'answers'
+// piping the answers too ({{q2}}...); welcome and intro go out before any answer.
+const MESSAGE_TEMPLATES = [
+  { key: 'welcome', label: 'Welcome', placeholders: ['title', 'estimatedTime'], piping: 'participant' },
+  { key: 'intro', label: 'Intro (sent after the welcome)', placeholders: ['title', 'description'], piping: 'participant' },
+  { key: 'invalidAnswer', label: 'Invalid answer', placeholders: ['error'] },
+  { key: 'followUpPrompt', label: 'Follow-up', placeholders: ['probe', 'instructions', 'skip'] },
+  { key: 'voiceConfirm', label: 'Voice confirmation', placeholders: ['text', 'yes', 'no'] },
+  { key: 'completion', label: 'Completion', placeholders: ['title'], piping: 'answers' },
+  { key: 'voucherIssued', label: 'Voucher code', placeholders: ['code', 'title'], piping: 'answers' },
+  { key: 'alreadyCompleted', label: 'Already completed', placeholders: ['title'] },
+  { key: 'surveyClosed', label: 'Survey closed', placeholders: ['title'] }
+];
+
+// Default translator for code paths that have no session
+const defaultTranslator = createTranslator(null, 'en');
+
+// Language and translator for a session's survey
+async function getSessionLocale(client, session) {
+  const result = await client.query(
+    'SELECT languages, translations, messages FROM surveys WHERE id = $1',
+    [session.survey_id]
+  );
+  const survey = result.rows[0] || {};
+  const language = session.language || getSurveyLanguages(survey)[0];
+  return { language, t: createTranslator(survey, language) };
+}
+
+// Translator for an error reply: the session's language when it can still be
+// looked up, English otherwise
+async function getErrorTranslator(session) {
+  try {
+    const client = await pool.connect();
+    try {
+      return (await getSessionLocale(client, session)).t;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    return defaultTranslator;
+  }
+}
+
+// Remove accents so "Olá" matches "ola"
+function stripAccents(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// Guess a participant's language from their first message ("Hola", "Bonjour",
+// or the language's name). Returns null unless exactly one survey language fits.
+function detectLanguage(text, languages) {
+  const normalized = normalizeOptionText(stripAccents(text || ''));
+  if (!normalized) {
+    return null;
+  }
+
+  const matches = languages.filter(language => {
+    const greetings = LANGUAGE_GREETINGS[language.split('-')[0]] || [];
+    const name = normalizeOptionText(stripAccents(getLanguageName(language)));
+    return normalized === name ||
+      greetings.some(greeting => normalized === greeting || normalized.startsWith(`${greeting} `));
+  });
+
+  return matches.length === 1 ? matches[0] : null;
+}
+
+// Match a reply to the language picker by number, code or language name
+function parseLanguageChoice(text, languages) {
+  const reply = String(text || '').trim().toLowerCase();
+  const codeMatch = languages.find(language => language.toLowerCase() === reply);
+  if (codeMatch) {
+    return codeMatch;
+  }
+
+  const match = matchOption(reply, languages.map(getLanguageName));
+  return match && !match.ambiguous ? languages[match.index] : null;
+}
+
+// Ask a new participant to pick one of the survey's languages
+async function sendLanguagePicker(survey, message) {
+  const languages = getSurveyLanguages(survey);
+  const prompts = [...new Set(languages.map(language => createTranslator(survey, language)('chooseLanguage')))];
+  await message.reply(prompts.join('\n') + '\n\n' +
+    languages.map((language, idx) => `${idx + 1}. ${getLanguageName(language)}`).join('\n'));
+}
+
+// Copy of a question with its text, options and scale labels in the given
+// language. Untranslated fields keep the survey's default wording and the
+// question id and type are unchanged, so answers are stored as usual.
+function localizeQuestion(question, language) {
+  const translations = question.translations || {};
+  const translation = translations[language];
+  if (!translation) {
+    return question;
+  }
+
+  const localized = { ...question };
+  if (translation.text) {
+    localized.question_text = translation.text;
+  }
+
+  const options = getQuestionOptions(question);
+  if (Array.isArray(translation.options) && translation.options.length === options.length) {
+    localized.options = translation.options;
+
+    // Aliases are keyed by option label, so carry them over to the translated labels
+    const settings = getQuestionSettings(question);
+    if (settings.aliases) {
+      const aliases = {};
+      options.forEach((option, index) => {
+        if (settings.aliases[option]) {
+          aliases[translation.options[index]] = settings.aliases[option];
+        }
+      });
+      localized.settings = { ...settings, aliases };
+    }
+  }
+
+  if (Array.isArray(translation.labels) && translation.labels.length === 2) {
+    localized.scale = { ...getQuestionScale(question), labels: translation.labels };
+  }
+
+  if (translation.followUpPrompt) {
+    localized.follow_up = { ...getFollowUpPolicy(question), prompt: translation.followUpPrompt };
+  }
+
+  return localized;
+}
+
+// An answer as the participant saw it: translated option labels for choice
+// questions, Yes/No in their language, anything else unchanged
+function localizeAnswer(question, localized, answer, answerData, t) {
+  if (question.question_type === 'yesno') {
+    return answer === 'Yes' ? t('yes') : answer === 'No' ? t('no') : answer;
+  }
+
+  const options = getQuestionOptions(question);
+  const localizedOptions = getQuestionOptions(localized);
+  const translate = label => {
+    const index = options.indexOf(label);
+    return index !== -1 && localizedOptions[index] ? localizedOptions[index] : label;
+  };
+
+  if (answerData && answerData.selected) {
+    return answerData.selected.map(translate).join(', ');
+  }
+  if (answerData && answerData.ranking) {
+    return answerData.ranking.map(translate).join(' > ');
+  }
+  return question.question_type === 'multiple' || question.question_type === 'curated' ? translate(answer) : answer;
+}
+
+// Check a new survey's languages and translations.
+// Returns an error message, or null when they are valid.
+function validateSurveyTranslations(languages, translations, questions) {
+  if (!Array.isArray(languages) || languages.length === 0) {
+    return 'Choose at least one survey language';
+  }
+  for (const language of languages) {
+    if (typeof language !== 'string' || !/^[a-z]{2,3}(-[A-Za-z]{2,4})?$/.test(language)) {
+      return `"${language}" is not a valid language code (use codes like en, es or pt-BR)`;
+    }
+  }
+  if (new Set(languages).size !== languages.length) {
+    return 'Each survey language can only be listed once';
+  }
+
+  for (const [language, translation] of Object.entries(translations || {})) {
+    if (!languages.includes(language)) {
+      return `Translations were given for "${language}", which is not one of the survey languages`;
+    }
+    const unknownKey = Object.keys((translation && translation.messages) || {})
+      .find(key => !SYSTEM_MESSAGES.hasOwnProperty(key));
+    if (unknownKey) {
+      return `Unknown system message "${unknownKey}" in the ${getLanguageName(language)} translation`;
+    }
+  }
+
+  for (let i = 0; i < questions.length; i++) {
+    for (const [language, translation] of Object.entries(questions[i].translations || {})) {
+      if (!languages.includes(language)) {
+        return `Question ${i + 1}: translation given for "${language}", which is not one of the survey languages`;
+      }
+      if (translation.options && (!Array.isArray(translation.options) ||
+          translation.options.length !== (questions[i].options || []).length)) {
+        return `Question ${i + 1}: the ${getLanguageName(language)} translation must have one entry per option`;
+      }
+      if (translation.labels && (!Array.isArray(translation.labels) || translation.labels.length !== 2)) {
+        return `Question ${i + 1}: the ${getLanguageName(language)} translation needs both scale labels`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Template variables available in question text, the welcome message and
+// follow-up prompts: {{q2}} (answer to question 2), {{participant_code}},
+// {{survey_title}} and {{attr.<name>}} (custom participant attributes).
+// {{q2|that}} falls back to "that" when there is no value.
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*([\w.]+)\s*(?:\|([^}]*))?\}\}/g;
+const TEMPLATE_VARIABLES = ['participant_code', 'survey_title'];
+
+// Replace template variables in text with values from the context
+function renderTemplate(text, context) {
+  return String(text).replace(TEMPLATE_VARIABLE_PATTERN, (placeholder, name, fallback) => {
+    const value = context[name];
+    return value !== undefined && value !== null && value !== '' ? String(value) : (fallback || '').trim();
+  });
+}
+
+// Question numbers referenced as {{qN}} in a piece of text
+function getReferencedQuestions(text) {
+  const numbers = [];
+  for (const match of String(text || '').matchAll(TEMPLATE_VARIABLE_PATTERN)) {
+    const questionMatch = match[1].match(/^q(\d+)$/);
+    if (questionMatch) {
+      numbers.push(parseInt(questionMatch[1]));
+    }
+  }
+  return numbers;
+}
+
+// Check that template variables in a new survey refer to known values and
+// only pipe in answers to earlier questions.
+// Returns an error message, or null when every template is valid.
+function validateAnswerPiping(questions, translations) {
+  const isKnownVariable = name => /^q\d+$/.test(name) || /^attr\.\w+$/.test(name) || TEMPLATE_VARIABLES.includes(name);
+
+  for (let i = 0; i < questions.length; i++) {
+    const question = questions[i];
+    // Follow-up prompts are sent after the answer is saved, so they may also
+    // quote the answer they follow up on
+    const templates = [
+      { text: question.question, lastQuestion: i },
+      { text: question.followUp && question.followUp.prompt, lastQuestion: i + 1 }
+    ];
+    Object.values(question.translations || {}).forEach(translation => {
+      templates.push({ text: translation.text, lastQuestion: i }, { text: translation.followUpPrompt, lastQuestion: i + 1 });
+    });
+
+    for (const { text, lastQuestion } of templates.filter(template => template.text)) {
+      for (const match of text.matchAll(TEMPLATE_VARIABLE_PATTERN)) {
+        if (!isKnownVariable(match[1])) {
+          return `Question ${i + 1}: unknown template variable "{{${match[1]}}}"`;
+        }
+      }
+      for (const number of getReferencedQuestions(text)) {
+        if (number < 1 || number > questions.length) {
+          return `Question ${i + 1}: {{q${number}}} refers to a question that doesn't exist`;
+        }
+        if (number > lastQuestion) {
+          return `Question ${i + 1}: {{q${number}}} can only refer to an earlier question`;
+        }
+      }
+    }
+  }
+
+  for (const [language, translation] of Object.entries(translations || {})) {
+    const welcome = translation && translation.messages && translation.messages.welcome;
+    if (getReferencedQuestions(welcome).length > 0) {
+      return `The ${getLanguageName(language)} welcome message is sent before any answers, so it can't use {{qN}}`;
+    }
+  }
+
+  return null;
+}
+
+// Values for template variables: the survey title, the participant's code
+// and custom attributes, and every answer so far as the participant saw it
+async function getTemplateContext(client, session) {
+  const { language, t } = await getSessionLocale(client, session);
+
+  const infoResult = await client.query(
+    `SELECT s.title, s.translations, p.participant_code, p.attributes, sp.participant_survey_code
+     FROM surveys s
+     JOIN participants p ON p.id = $2
+     LEFT JOIN survey_participants sp ON sp.survey_id = s.id AND sp.participant_id = p.id
+     WHERE s.id = $1`,
+    [session.survey_id, session.participant_id]
+  );
+  const info = infoResult.rows[0] || {};
+  const surveyTranslation = (info.translations || {})[language] || {};
+
+  const context = {
+    survey_title: surveyTranslation.title || info.title,
+    participant_code: info.participant_survey_code || info.participant_code
+  };
+  Object.entries(info.attributes || {}).forEach(([name, value]) => {
+    context[`attr.${name}`] = value;
+  });
+
+  const answersResult = await client.query(
+    `SELECT q.*, r.answer, r.answer_data
+     FROM responses r
+     JOIN questions q ON q.id = r.question_id
+     WHERE r.survey_id = $1 AND r.participant_id = $2
+     ORDER BY q.question_number, r.sub_item`,
+    [session.survey_id, session.participant_id]
+  );
+  answersResult.rows.forEach(row => {
+    const key = `q${row.question_number}`;
+    const answer = localizeAnswer(row, localizeQuestion(row, language), row.answer, row.answer_data, t);
+    // Matrix questions have one row per statement
+    context[key] = context[key] ? `${context[key]}, ${answer}` : answer;
+  });
+
+  return context;
+}
+
+// Send question to participant
+async function sendQuestion(session, message) {
+  const client = await pool.connect();
+  try {
+    // Get total questions count for this survey
+    const totalQuestionsResult = await client.query(
+      'SELECT COUNT(*) as total FROM questions WHERE survey_id = $1',
+      [session.survey_id]
+    );
+    const totalQuestions = totalQuestionsResult.rows[0].total;
+
+    // Questions are numbered by the position they're shown in, which differs
+    // from the stored number when the survey shuffles question order
+    const questionOrder = await ensureQuestionOrder(client, session);
+
+    // Routing rules on the previous answer may point somewhere other than the next question
+    const sessionData = session.session_data || {};
+    const nextQuestionNumber = sessionData.nextQuestion !== undefined
+      ? sessionData.nextQuestion
+      : session.current_question + 1;
+
+    if (nextQuestionNumber === 'end') {
+      await completeSurvey(session, message);
+      return;
+    }
+
+    const result = await client.query(
+      'SELECT q.*, s.randomization FROM questions q JOIN surveys s ON s.id = q.survey_id WHERE q.survey_id = $1 AND q.question_number = $2',
+      [session.survey_id, getQuestionNumberAt(questionOrder, nextQuestionNumber)]
+    );
+    
+    if (result.rows.length === 0) {
+      // No more questions, complete survey
+      await completeSurvey(session, message);
+      return;
+    }
+    
+    // Shuffled options keep the order first shown, so re-asking a question
+    // (e.g. after "back") presents it the same way
+    const storedQuestion = result.rows[0];
+    let optionOrder = getOptionOrder(session, storedQuestion);
+    const optionOrders = { ...(sessionData.optionOrder || {}) };
+    if (!optionOrder && shouldRandomizeOptions(storedQuestion, storedQuestion.randomization)) {
+      optionOrder = buildOptionOrder(getQuestionOptions(storedQuestion));
+      optionOrders[storedQuestion.id] = optionOrder;
+    }
+
+    const { language, t } = await getSessionLocale(client, session);
+    const question = {
+      ...applyOptionOrder(localizeQuestion(storedQuestion, language), optionOrder),
+      question_number: nextQuestionNumber
+    };
+    question.question_text = renderTemplate(question.question_text, await getTemplateContext(client, session));
+    // Format: Question X/Y
+    let questionText = `${t('questionHeader', { number: question.question_number, total: totalQuestions })}\n${question.question_text}`;
+    
+    if (CHOICE_QUESTION_TYPES.includes(question.question_type)) {
+      let options;
+      try {
+        // Try to parse as JSON first
+        options = typeof question.options === 'string' 
+          ? JSON.parse(question.options) 
+          : question.options;
+      } catch (e) {
+        // If JSON parse fails, check if it's a comma-separated string
+        if (typeof question.options === 'string' && question.options.includes(',')) {
+          options = question.options.split(',').map(opt => opt.trim());
+        } else {
+          // Default fallback options
+          options = question.question_type === 'curated' 
+            ? ['Agree', 'Neutral', 'Disagree'] 
+            : ['Option 1', 'Option 2'];
+          logger.error('Invalid options format for question', { 
+            questionId: question.id, 
+            options: question.options 
+          });
+        }
+      }
+      
+      questionText += '\n' + options.map((opt, idx) => `${idx + 1}. ${opt}`).join('\n');
+
+      if (question.question_type === 'multiselect') {
+        const { minSelections, maxSelections } = getSelectionLimits(question, options);
+        questionText += '\n\n' + t('multiSelectPrompt');
+        if (minSelections > 1 && maxSelections < options.length) {
+          questionText += '\n' + t('multiSelectBetween', { min: minSelections, max: maxSelections });
+        } else if (minSelections > 1) {
+          questionText += '\n' + t('multiSelectAtLeast', { min: minSelections });
+        } else if (maxSelections < options.length) {
+          questionText += '\n' + t('multiSelectUpTo', { max: maxSelections });
+        }
+      } else if (question.question_type === 'ranking') {
+        const rankCount = getRankCount(question, options);
+        if (rankCount < options.length) {
+          questionText += '\n\n' + t('rankingTopPrompt', { count: rankCount, example: exampleRanking(rankCount) });
+        } else {
+          questionText += '\n\n' + t('rankingAllPrompt', { count: options.length, example: exampleRanking(options.length) });
+        }
+      } else {
+        questionText += '\n\n' + t('replyWithChoice');
+      }
+    } else if (question.question_type === 'likert') {
+      let scale;
+      try {
+        scale = typeof question.scale === 'string' 
+          ? JSON.parse(question.scale) 
+          : question.scale;
+      } catch (e) {
+        // Default scale if parsing fails
+        scale = { min: 1, max: 5, labels: ['Poor', 'Excellent'] };
+        logger.error('Invalid scale format for question', { 
+          questionId: question.id, 
+          scale: question.scale 
+        });
+      }
+      
+      questionText += '\n\n' + t('ratePrompt', { min: scale.min, max: scale.max });
+      questionText += '\n' + t('scaleLabels', { min: scale.min, max: scale.max, minLabel: scale.labels[0], maxLabel: scale.labels[1] });
+      questionText += '\n\n' + t('replyWithRating');
+    } else if (question.question_type === 'matrix') {
+      const statements = getMatrixStatements(question);
+      const scale = getQuestionScale(question);
+      questionText += '\n' + statements.map((statement, idx) => `${idx + 1}. ${statement}`).join('\n');
+      questionText += '\n\n' + t('matrixRatePrompt', { min: scale.min, max: scale.max });
+      questionText += '\n' + t('scaleLabels', { min: scale.min, max: scale.max, minLabel: scale.labels[0], maxLabel: scale.labels[1] });
+      questionText += '\n\n' + t('matrixReplyPrompt', { count: statements.length, example: exampleMatrixReply(statements.length, scale) });
+    } else if (question.question_type === 'nps') {
+      questionText += '\n\n' + t('ratePrompt', { min: NPS_MIN, max: NPS_MAX });
+      questionText += '\n' + t('npsLabels', { min: NPS_MIN, max: NPS_MAX });
+      questionText += '\n\n' + t('npsReplyPrompt', { min: NPS_MIN, max: NPS_MAX });
+    } else if (STRUCTURED_INPUT_TYPES.includes(question.question_type)) {
+      questionText += '\n\n' + getStructuredInputPrompt(question, t);
+    } else if (question.question_type === 'text') {
+      questionText += '\n\n' + t('textPrompt');
+    } else if (ATTACHMENT_QUESTION_TYPES.includes(question.question_type)) {
+      questionText += '\n\n' + t(`${question.question_type}Prompt`);
+    }
+    
+    // Interactive messages can't carry media, so the question only goes in
+    // the caption when it is sent as plain text
+    const interactive = buildInteractiveQuestion(question, questionText, t);
+    const media = await loadQuestionMedia(client, storedQuestion);
+    if (media && !interactive && questionText.length <= MAX_CAPTION_LENGTH &&
+        getMediaPlacement(storedQuestion, media) === 'caption') {
+      if (!(await sendQuestionMedia(message, media, questionText))) {
+        await message.reply(questionText);
+      }
+    } else {
+      if (media) {
+        await sendQuestionMedia(message, media);
+      }
+      await sendQuestionMessage(message, questionText, interactive);
+    }
+    
+    // Update session
+    await client.query(
+      `UPDATE sessions
+       SET current_question = $1,
+           session_data = (COALESCE(session_data, '{}') - 'nextQuestion') || $3::jsonb,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [question.question_number, session.id, JSON.stringify({ optionOrder: optionOrders })]
+    );
+
+  } catch (error) {
+    logger.error('Error in sendQuestion', error);
+    await message.reply((await getErrorTranslator(session))('questionLoadError'));
+  } finally {
+    client.release();
+  }
+}
+
+// Parse the type-specific settings stored with a question
+function getQuestionSettings(question) {
+  if (typeof question.settings === 'string') {
+    try {
+      return JSON.parse(question.settings);
+    } catch (e) {
+      logger.error('Invalid settings format for question', {
+        questionId: question.id,
+        settings: question.settings
+      });
+      return {};
+    }
+  }
+
+  return question.settings || {};
+}
+
+// Net Promoter Score scale and the score bands used to classify answers
+const NPS_MIN = 0;
+const NPS_MAX = 10;
+
+// Classify an NPS score as promoter (9-10), passive (7-8) or detractor (0-6)
+function getNpsCategory(score) {
+  if (score >= 9) {
+    return 'promoter';
+  }
+  return score >= 7 ? 'passive' : 'detractor';
+}
+
+// Question types answered with typed input rather than a choice list
+const STRUCTURED_INPUT_TYPES = ['number', 'date', 'email', 'phone', 'yesno'];
+
+// Date formats a date question can ask for, with an example of each
+const DATE_FORMAT_EXAMPLES = {
+  'DD/MM/YYYY': '25/12/1990',
+  'MM/DD/YYYY': '12/25/1990',
+  'YYYY-MM-DD': '1990-12-25'
+};
+
+// Replies accepted for yes/no questions
+const YES_ANSWERS = ['yes', 'y', 'yeah', 'yea', 'yep', 'yup', 'sure', 'ok', 'okay', 'of course', 'definitely', '1', '👍', '✅'];
+const NO_ANSWERS = ['no', 'n', 'nope', 'nah', 'not really', 'never', '2', '👎', '❌'];
+
+// Describe the allowed range of a number question, e.g. " between 1 and 10"
+function describeNumberRange(settings, t = defaultTranslator) {
+  const hasMin = typeof settings.min === 'number';
+  const hasMax = typeof settings.max === 'number';
+
+  if (hasMin && hasMax) {
+    return t('rangeBetween', { min: settings.min, max: settings.max });
+  }
+  if (hasMin) {
+    return t('rangeAtLeast', { min: settings.min });
+  }
+  if (hasMax) {
+    return t('rangeAtMost', { max: settings.max });
+  }
+  return '';
+}
+
+// Get the date format a date question expects
+function getDateFormat(settings) {
+  return DATE_FORMAT_EXAMPLES[settings.dateFormat] ? settings.dateFormat : 'DD/MM/YYYY';
+}
+
+// Build the reply instructions shown under a typed-input question
+function getStructuredInputPrompt(question, t = defaultTranslator) {
+  const settings = getQuestionSettings(question);
+
+  switch (question.question_type) {
+    case 'number':
+      return t(settings.integer ? 'wholeNumberPrompt' : 'numberPrompt', { range: describeNumberRange(settings, t) });
+    case 'date': {
+      const format = getDateFormat(settings);
+      return t('datePrompt', { format, example: DATE_FORMAT_EXAMPLES[format] });
+    }
+    case 'email':
+      return t('emailPrompt');
+    case 'phone':
+      return t('phonePrompt');
+    case 'yesno':
+      return t('yesNoPrompt', { yes: t('yes'), no: t('no') });
+    default:
+      return '';
+  }
+}
+
+// Validate and normalize a typed answer.
+// Returns { answer, value } with the normalized text and typed value, or { error }.
+function parseStructuredAnswer(question, rawAnswer, t = defaultTranslator) {
+  const settings = getQuestionSettings(question);
+  const text = String(rawAnswer).trim();
+
+  switch (question.question_type) {
+    case 'number': {
+      const invalidMessage = t(settings.integer ? 'wholeNumberPrompt' : 'numberPrompt', { range: describeNumberRange(settings, t) }) + '.';
+      // Accept thousands spacing ("1 200"), a decimal comma with one or two
+      // decimals ("2,5") and thousands commas ("1,200"); "1,2345" is ambiguous
+      let normalized = text.replace(/\s/g, '');
+      if (/^-?\d+,\d{1,2}$/.test(normalized)) {
+        normalized = normalized.replace(',', '.');
+      } else if (/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(normalized)) {
+        normalized = normalized.replace(/,/g, '');
+      }
+
+      if (!/^-?\d+(\.\d+)?$/.test(normalized)) {
+        return { error: invalidMessage };
+      }
+
+      const value = parseFloat(normalized);
+      if (settings.integer && !Number.isInteger(value)) {
+        return { error: invalidMessage };
+      }
+      if ((typeof settings.min === 'number' && value < settings.min) ||
+          (typeof settings.max === 'number' && value > settings.max)) {
+        return { error: invalidMessage };
+      }
+
+      return { answer: String(value), value };
+    }
+
+    case 'date': {
+      const format = getDateFormat(settings);
+      const invalidMessage = t('invalidDate', { format, example: DATE_FORMAT_EXAMPLES[format] });
+      const parts = text.split(/[\/\-.\s]+/);
+
+      if (parts.length !== 3 || !parts.every(part => /^\d+$/.test(part))) {
+        return { error: invalidMessage };
+      }
+
+      const [first, second, third] = parts;
+      const [year, month, day] = format === 'YYYY-MM-DD'
+        ? [first, second, third]
+        : format === 'MM/DD/YYYY' ? [third, first, second] : [third, second, first];
+
+      if (year.length !== 4) {
+        return { error: invalidMessage };
+      }
+
+      const date = new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day)));
+      // Reject dates that roll over, such as 31/02
+      if (date.getUTCFullYear() !== parseInt(year) ||
+          date.getUTCMonth() !== parseInt(month) - 1 ||
+          date.getUTCDate() !== parseInt(day)) {
+        return { error: invalidMessage };
+      }
+
+      const value = date.toISOString().split('T')[0];
+      if (settings.minDate && value < settings.minDate) {
+        return { error: t('dateTooEarly', { date: settings.minDate }) };
+      }
+      if (settings.maxDate && value > settings.maxDate) {
+        return { error: t('dateTooLate', { date: settings.maxDate }) };
+      }
+
+      return { answer: value, value };
+    }
+
+    case 'email': {
+      const value = text.toLowerCase();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value)) {
+        return { error: t('invalidEmail') };
+      }
+      return { answer: value, value };
+    }
+
+    case 'phone': {
+      const value = text.replace(/[\s\-().]/g, '');
+      if (!/^\+?\d{7,15}$/.test(value)) {
+        return { error: t('invalidPhone') };
+      }
+      return { answer: value, value };
+    }
+
+    case 'yesno': {
+      const normalized = text.toLowerCase().replace(/[.!?]+$/, '').trim();
+      // Answers are stored as Yes/No whatever language they were given in
+      if (YES_ANSWERS.includes(normalized) || normalized === t('yes').toLowerCase()) {
+        return { answer: 'Yes', value: true };
+      }
+      if (NO_ANSWERS.includes(normalized) || normalized === t('no').toLowerCase()) {
+        return { answer: 'No', value: false };
+      }
+      return { error: t('invalidYesNo', { yes: t('yes'), no: t('no') }) };
+    }
+
+    default:
+      return { answer: text, value: text };
+  }
+}
+
+// Parse the rating scale of a likert or matrix question
+function getQuestionScale(question) {
+  try {
+    const scale = typeof question.scale === 'string'
+      ? JSON.parse(question.scale)
+      : question.scale;
+    if (scale && Number.isInteger(scale.min) && Number.isInteger(scale.max)) {
+      return { min: scale.min, max: scale.max, labels: scale.labels || ['', ''] };
+    }
+  } catch (e) {
+    logger.error('Invalid scale format for question', {
+      questionId: question.id,
+      scale: question.scale
+    });
+  }
+  return { min: 1, max: 5, labels: ['Poor', 'Excellent'] };
+}
+
+// Sub-statements of a matrix question, stored in its options column
+function getMatrixStatements(question) {
+  try {
+    const statements = typeof question.options === 'string'
+      ? JSON.parse(question.options)
+      : question.options;
+    return Array.isArray(statements) ? statements : [];
+  } catch (e) {
+    logger.error('Invalid statements format for matrix question', {
+      questionId: question.id,
+      options: question.options
+    });
+    return [];
+  }
+}
+
+// Example reply for matrix prompts, cycling through the scale
+function exampleMatrixReply(count, scale) {
+  const span = scale.max - scale.min + 1;
+  return Array.from({ length: Math.min(count, 4) }, (_, i) => scale.max - (i % span)).join(' ')
+    + (count > 4 ? ' ...' : '');
+}
+
+// Parse a matrix reply such as "4 5 3 2" (or "4532" on single-digit scales).
+// Returns { ratings } with one rating per statement, or { error } naming the bad row.
+function parseMatrixAnswer(answer, statements, scale, t = defaultTranslator) {
+  const text = String(answer).trim();
+  let tokens = text.split(/[\s,;]+/).filter(Boolean);
+
+  // Allow digits typed without separators when every rating is a single digit
+  if (tokens.length === 1 && statements.length > 1 && scale.min >= 0 && scale.max <= 9 &&
+      /^\d+$/.test(text) && text.length === statements.length) {
+    tokens = text.split('');
+  }
+
+  if (tokens.length !== statements.length) {
+    return {
+      error: t('matrixCount', { count: statements.length, min: scale.min, max: scale.max, sent: tokens.length })
+    };
+  }
+
+  const ratings = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const rating = /^-?\d+$/.test(tokens[i]) ? parseInt(tokens[i]) : NaN;
+    if (!(rating >= scale.min && rating <= scale.max)) {
+      return {
+        error: t('matrixInvalidRow', {
+          row: i + 1,
+          statement: statements[i],
+          value: tokens[i],
+          min: scale.min,
+          max: scale.max,
+          count: statements.length
+        })
+      };
+    }
+    ratings.push(rating);
+  }
+
+  return { ratings };
+}
+
+// Interactive buttons/lists are opt-in because WhatsApp only renders them for
+// some accounts; the numbered text stays in the message body either way
+const INTERACTIVE_MESSAGES_ENABLED = process.env.INTERACTIVE_MESSAGES === 'true';
+const MAX_REPLY_BUTTONS = 3;
+const MAX_LIST_ROWS = 10;
+const LIST_ROW_TITLE_LENGTH = 24;
+
+// Button and list row ids encode the question and the value to answer with,
+// e.g. "q12:3" answers question 12 with "3"
+function buildChoiceId(question, value) {
+  return `q${question.id}:${value}`;
+}
+
+// Read the question id and answer value from a tapped button or list row
+function parseChoiceId(id) {
+  const match = String(id || '').match(/^q(\d+):(.+)$/);
+  return match ? { questionId: parseInt(match[1]), value: match[2] } : null;
+}
+
+// Choices a question can offer as buttons or list rows, as { value, title }
+function getInteractiveChoices(question, t = defaultTranslator) {
+  if (question.question_type === 'multiple' || question.question_type === 'curated') {
+    return getQuestionOptions(question).map((option, index) => ({ value: String(index + 1), title: option }));
+  }
+  if (question.question_type === 'yesno') {
+    return [{ value: 'yes', title: t('yes') }, { value: 'no', title: t('no') }];
+  }
+  if (question.question_type === 'likert') {
+    const scale = getQuestionScale(question);
+    const choices = [];
+    for (let value = scale.min; value <= scale.max; value++) {
+      const label = value === scale.min ? scale.labels[0] : value === scale.max ? scale.labels[1] : '';
+      choices.push({ value: String(value), title: label ? `${value} - ${label}` : String(value) });
+    }
+    return choices;
+  }
+  return [];
+}
+
+// Build a Buttons (up to 3 choices) or List (up to 10) message for a question,
+// or null when it should be sent as plain text
+function buildInteractiveQuestion(question, questionText, t = defaultTranslator) {
+  if (!INTERACTIVE_MESSAGES_ENABLED || !Buttons || !List) {
+    return null;
+  }
+
+  const choices = getInteractiveChoices(question, t);
+  if (choices.length === 0 || choices.length > MAX_LIST_ROWS) {
+    return null;
+  }
+
+  if (choices.length <= MAX_REPLY_BUTTONS) {
+    return new Buttons(
+      questionText,
+      choices.map(choice => ({ id: buildChoiceId(question, choice.value), body: choice.title })),
+      '',
+      t('interactiveButtonsFooter')
+    );
+  }
+
+  return new List(
+    questionText,
+    t('interactiveListButton'),
+    [{
+      title: t('interactiveListButton'),
+      rows: choices.map(choice => ({
+        id: buildChoiceId(question, choice.value),
+        title: choice.title.length > LIST_ROW_TITLE_LENGTH
+          ? choice.title.substring(0, LIST_ROW_TITLE_LENGTH - 1) + '…'
+          : choice.title,
+        description: choice.title.length > LIST_ROW_TITLE_LENGTH ? choice.title : ''
+      }))
+    }],
+    '',
+    t('interactiveListFooter')
+  );
+}
+
+// Send a question, falling back to the numbered text when the interactive
+// message can't be delivered
+async function sendQuestionMessage(message, questionText, interactive) {
+  if (interactive) {
+    try {
+      await message.reply(interactive);
+      return;
+    } catch (error) {
+      logger.warn('Interactive message failed, sending numbered text instead', { error: error.message });
+    }
+  }
+  await message.reply(questionText);
+}
+
+// Media that can be attached to a question, by MIME type and how WhatsApp shows it
+// A Map, so request values like "constructor" can't match inherited keys
+const MEDIA_MIME_TYPES = new Map([
+  ['image/jpeg', 'image'],
+  ['image/png', 'image'],
+  ['image/webp', 'image'],
+  ['video/mp4', 'video'],
+  ['video/3gpp', 'video'],
+  ['audio/mpeg', 'audio'],
+  ['audio/ogg', 'audio'],
+  ['audio/mp4', 'audio'],
+  ['audio/aac', 'audio'],
+  ['audio/amr', 'audio']
+]);
+const MEDIA_PLACEMENTS = ['before', 'caption'];
+// Uploads arrive base64-encoded in a JSON body, which is limited to 10mb
+const MAX_MEDIA_BYTES = 7 * 1024 * 1024;
+const MAX_CAPTION_LENGTH = 1024;
+
+// Where a question's media goes: in its own message before the question
+// (default), or with the question text as its caption. Audio can't carry a
+// caption, so it is always sent first.
+function getMediaPlacement(question, media) {
+  const placement = question.settings && question.settings.mediaPlacement;
+  if (placement !== 'caption' || MEDIA_MIME_TYPES.get(media.mimetype) === 'audio') {
+    return 'before';
+  }
+  return 'caption';
+}
+
+// Load the media attached to a question as a MessageMedia, or null when there is none
+async function loadQuestionMedia(client, question) {
+  if (!question.media_id) {
+    return null;
+  }
+  const result = await client.query(
+    'SELECT filename, mimetype, data FROM media_files WHERE id = $1',
+    [question.media_id]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+  const { filename, mimetype, data } = result.rows[0];
+  return new MessageMedia(mimetype, data.toString('base64'), filename);
+}
+
+// Send a question's media, with the question text as its caption when given.
+// Returns false when the media couldn't be delivered.
+async function sendQuestionMedia(message, media, caption) {
+  try {
+    await message.reply(media, undefined, caption ? { caption } : {});
+    return true;
+  } catch (error) {
+    logger.warn('Question media failed to send', { filename: media.filename, error: error.message });
+    return false;
+  }
+}
+
+// Check an uploaded media file, returning an error message or null
+function validateMediaUpload(filename, mimetype, buffer) {
+  if (!filename || typeof filename !== 'string' || !filename.trim()) {
+    return 'A file name is required';
+  }
+  if (!MEDIA_MIME_TYPES.has(mimetype)) {
+    return `Unsupported media type "${mimetype}". Use JPEG, PNG or WebP images, MP4 or 3GP video, or MP3, OGG, M4A, AAC or AMR audio`;
+  }
+  if (buffer.length === 0) {
+    return 'The file is empty';
+  }
+  if (buffer.length > MAX_MEDIA_BYTES) {
+    return `Media files can be at most ${MAX_MEDIA_BYTES / (1024 * 1024)} MB`;
+  }
+  return null;
+}
+
+// Question types answered with a photo, a document or a shared location
+const ATTACHMENT_QUESTION_TYPES = ['photo', 'document', 'location'];
+// Message types that carry a file or a location rather than a typed answer
+// (voice notes arrive as 'ptt' and are transcribed instead)
+const ATTACHMENT_MESSAGE_TYPES = ['image', 'video', 'audio', 'document', 'sticker', 'location'];
+// Files participants send can be larger than question media, which goes through the dashboard
+const MAX_ANSWER_MEDIA_BYTES = 16 * 1024 * 1024;
+
+// Check that a reply to an attachment question is the kind of message it asks for
+function getAttachmentTypeError(question, message, t) {
+  if (question.question_type === 'location') {
+    return message.type === 'location' && message.location ? null : t('expectedLocation');
+  }
+  if (question.question_type === 'photo') {
+    return message.type === 'image' && message.hasMedia ? null : t('expectedPhoto');
+  }
+  return message.type === 'document' && message.hasMedia ? null : t('expectedDocument');
+}
+
+// Store the photo, document or location sent as an answer. Files are
+// downloaded into media_files; the answer text is the file name or the
+// coordinates. Returns { answer, answerData } or { error }.
+async function receiveAttachmentAnswer(client, question, message, t) {
+  const typeError = getAttachmentTypeError(question, message, t);
+  if (typeError) {
+    return { error: typeError };
+  }
+
+  if (question.question_type === 'location') {
+    const latitude = parseFloat(message.location.latitude);
+    const longitude = parseFloat(message.location.longitude);
+    // Older clients put "name\naddress" in the description
+    const [name = '', address = ''] = (message.location.name
+      ? [message.location.name, message.location.address]
+      : (message.location.description || '').split('\n'));
+    const coordinates = `${latitude.toFixed(6)}, ${longitude.toFixed(6)}`;
+    return {
+      answer: name ? `${name} (${coordinates})` : coordinates,
+      answerData: { latitude, longitude, name: name || null, address: address || null }
+    };
+  }
+
+  try {
+    const media = await message.downloadMedia();
+    if (!media || !media.data) {
+      return { error: t('attachmentError') };
+    }
+
+    const buffer = Buffer.from(media.data, 'base64');
+    if (buffer.length > MAX_ANSWER_MEDIA_BYTES) {
+      return { error: t('attachmentTooLarge', { size: MAX_ANSWER_MEDIA_BYTES / (1024 * 1024) }) };
+    }
+
+    const mimetype = media.mimetype.split(';')[0];
+    const filename = media.filename || `${question.question_type}-${Date.now()}.${mimetype.split('/')[1] || 'bin'}`;
+    const result = await client.query(
+      'INSERT INTO media_files (filename, mimetype, size_bytes, data) VALUES ($1, $2, $3, $4) RETURNING id',
+      [filename.substring(0, 255), mimetype, buffer.length, buffer]
+    );
+    logger.info(`Stored ${question.question_type} answer as media ${result.rows[0].id} (${buffer.length} bytes)`);
+
+    return {
+      answer: filename,
+      answerData: { mediaId: result.rows[0].id, filename, mimetype, size: buffer.length }
+    };
+  } catch (error) {
+    logger.error('Error downloading attachment answer', error);
+    return { error: t('attachmentError') };
+  }
+}
+
+// Built-in synonyms for common option labels, keyed by normalized label
+const OPTION_SYNONYMS = {
+  'agree': ['yes', 'yeah', 'yep', 'agreed', 'i agree', 'true', 'correct', 'absolutely', '👍', '✅'],
+  'strongly agree': ['totally agree', 'completely agree', 'absolutely agree', '👍👍'],
+  'disagree': ['no', 'nope', 'nah', 'i disagree', 'false', 'incorrect', 'not really', '👎', '❌'],
+  'strongly disagree': ['totally disagree', 'completely disagree', '👎👎'],
+  'neutral': ['not sure', 'unsure', 'undecided', 'maybe', 'dont know', 'don t know', 'idk', 'no opinion', 'in between', '🤷', '🤷‍♂️', '🤷‍♀️'],
+  'yes': ['y', 'yeah', 'yep', 'sure', 'ok', 'okay', '👍'],
+  'no': ['n', 'nope', 'nah', '👎'],
+  'other': ['something else', 'none of these', 'none of the above']
+};
+
+// Ordinal words mapped to option positions ("last" is resolved per question)
+const ORDINAL_WORDS = {
+  first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4,
+  fifth: 5, '5th': 5, sixth: 6, '6th': 6, seventh: 7, '7th': 7, eighth: 8, '8th': 8,
+  ninth: 9, '9th': 9, tenth: 10, '10th': 10
+};
+
+// Lowercase, drop punctuation and collapse whitespace; emoji are kept
+function normalizeOptionText(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[.,!?;:'"()[\]{}\-_/\\]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Similarity between two strings from 0 to 1, based on edit distance
+function textSimilarity(a, b) {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+// Map a free-text reply to one of a question's options. Tries, in order: the
+// exact label, option number, per-question aliases, letters (a, b, c),
+// built-in synonyms, labels mentioned in the reply, ordinal words ("the
+// second one"), and finally fuzzy matching for typos. Returns { index, method }, { ambiguous: [indexes] }
+// when several options fit equally well, or null when nothing matches.
+function matchOption(reply, options, aliases = {}) {
+  const text = normalizeOptionText(reply);
+  const labels = options.map(option => normalizeOptionText(option));
+  if (!text) return null;
+
+  // An exact label wins over the option number, so options labelled "0" or
+  // "10" can be picked by typing them
+  const exactIndex = labels.indexOf(text);
+  if (exactIndex !== -1) {
+    return { index: exactIndex, method: 'exact' };
+  }
+
+  const numberMatch = text.match(/^(?:option |number |no )?(\d+)$/);
+  if (numberMatch) {
+    const choice = parseInt(numberMatch[1]);
+    return choice >= 1 && choice <= options.length ? { index: choice - 1, method: 'number' } : null;
+  }
+
+  const aliasIndex = options.findIndex(option =>
+    ((aliases || {})[option] || []).some(alias => normalizeOptionText(alias) === text));
+  if (aliasIndex !== -1) {
+    return { index: aliasIndex, method: 'alias' };
+  }
+
+  const letterMatch = text.match(/^(?:option )?([a-z])$/);
+  if (letterMatch) {
+    const index = letterMatch[1].charCodeAt(0) - 97;
+    if (index < options.length) {
+      return { index, method: 'letter' };
+    }
+  }
+
+  const synonymIndexes = labels
+    .map((label, index) => ((OPTION_SYNONYMS[label] || []).includes(text) ? index : -1))
+    .filter(index => index !== -1);
+  if (synonymIndexes.length === 1) {
+    return { index: synonymIndexes[0], method: 'synonym' };
+  }
+
+  // "I strongly disagree" mentions a label; negated replies are left to the
+  // fuzzy step so "not agree" doesn't count as agreeing
+  const negated = /\b(not|dont|don t|never|isn t|isnt)\b/.test(text);
+  if (!negated) {
+    const padded = ` ${text} `;
+    const mentioned = labels
+      .map((label, index) => ({ label, index }))
+      .filter(({ label }) => label && padded.includes(` ${label} `));
+    if (mentioned.length > 0) {
+      // Prefer the most specific label, e.g. "strongly agree" over "agree"
+      const longest = Math.max(...mentioned.map(({ label }) => label.length));
+      const best = mentioned.filter(({ label }) => label.length === longest);
+      if (best.length === 1) {
+        return { index: best[0].index, method: 'contains' };
+      }
+      return { ambiguous: best.map(({ index }) => index) };
+    }
+  }
+
+  // Only a reply that is nothing but an ordinal ("the second one", "last")
+  // picks by position, so "I liked it at last" isn't read as an answer
+  const ordinalMatch = !negated && text.match(/^(?:the )?(\w+)(?: one| option| answer)?$/);
+  if (ordinalMatch) {
+    if (ordinalMatch[1] === 'last') {
+      return { index: options.length - 1, method: 'ordinal' };
+    }
+    const ordinal = ORDINAL_WORDS[ordinalMatch[1]];
+    if (ordinal !== undefined && ordinal <= options.length) {
+      return { index: ordinal - 1, method: 'ordinal' };
+    }
+  }
+
+  const scored = labels
+    .map((label, index) => ({ index, score: textSimilarity(text, label) }))
+    .sort((a, b) => b.score - a.score);
+  if (scored.length > 0 && scored[0].score >= 0.75) {
+    const close = scored.filter(({ score }) => scored[0].score - score < 0.1);
+    if (close.length === 1) {
+      return { index: scored[0].index, method: 'fuzzy' };
+    }
+    return { ambiguous: close.map(({ index }) => index) };
+  }
+
+  return null;
+}
+
+// Question types answered by picking from a numbered option list
+const CHOICE_QUESTION_TYPES = ['multiple', 'curated', 'multiselect', 'ranking'];
+
+// Number of options a ranking question asks participants to rank
+function getRankCount(question, options) {
+  const rankCount = parseInt(getQuestionSettings(question).rankCount);
+  return rankCount >= 1 && rankCount <= options.length ? rankCount : options.length;
+}
+
+// Example ordering for ranking prompts, e.g. "2, 1, 3"
+function exampleRanking(count) {
+  const example = Array.from({ length: count }, (_, i) => i + 1);
+  if (count > 1) {
+    [example[0], example[1]] = [example[1], example[0]];
+  }
+  return example.join(', ');
+}
+
+// Parse a ranking reply such as "3,1,5,2,4" or "3 1 5 2 4".
+// Returns { ranking, choices } in order of preference, or { error }.
+function parseRankingAnswer(answer, options, rankCount, t = defaultTranslator) {
+  const tokens = String(answer).split(/[\s,;>]+/).filter(Boolean);
+  const invalidMessage = rankCount < options.length
+    ? t('invalidRankingTop', { rankCount, count: options.length, example: exampleRanking(rankCount) })
+    : t('invalidRankingAll', { count: options.length, example: exampleRanking(options.length) });
+
+  const choices = [];
+  for (const token of tokens) {
+    const choice = /^\d+$/.test(token) ? parseInt(token) : NaN;
+    if (!(choice >= 1 && choice <= options.length)) {
+      return { error: invalidMessage };
+    }
+    if (choices.includes(choice)) {
+      return { error: `${t('rankingDuplicate', { choice })} ${invalidMessage}` };
+    }
+    choices.push(choice);
+  }
+
+  if (choices.length !== rankCount) {
+    return { error: invalidMessage };
+  }
+
+  return { choices, ranking: choices.map(choice => options[choice - 1]) };
+}
+
+// Resolve the min/max number of choices allowed on a multi-select question
+function getSelectionLimits(question, options) {
+  const settings = getQuestionSettings(question);
+  const minSelections = Math.max(parseInt(settings.minSelections) || 1, 1);
+  const maxSelections = Math.min(parseInt(settings.maxSelections) || options.length, options.length);
+
+  return { minSelections, maxSelections };
+}
+
+// Parse a multi-select reply such as "1, 3, 4" or "1 3 4"
+function parseMultiSelectAnswer(answer, options, limits, t = defaultTranslator) {
+  const tokens = String(answer).split(/[\s,;]+/).filter(Boolean);
+  const invalidMessage = t('invalidMultiSelect', { count: options.length });
+
+  if (tokens.length === 0) {
+    return { error: invalidMessage };
+  }
+
+  const choices = [];
+  for (const token of tokens) {
+    const choice = /^\d+$/.test(token) ? parseInt(token) : NaN;
+    if (!(choice >= 1 && choice <= options.length)) {
+      return { error: invalidMessage };
+    }
+    if (!choices.includes(choice)) {
+      choices.push(choice);
+    }
+  }
+
+  if (choices.length < limits.minSelections) {
+    return { error: t('multiSelectTooFew', { min: limits.minSelections }) };
+  }
+
+  if (choices.length > limits.maxSelections) {
+    return { error: t('multiSelectTooMany', { max: limits.maxSelections }) };
+  }
+
+  choices.sort((a, b) => a - b);
+  return { choices, selected: choices.map(choice => options[choice - 1]) };
+}
+
+// Parse the options of a choice question
+function getQuestionOptions(question) {
+  try {
+    const options = typeof question.options === 'string'
+      ? JSON.parse(question.options)
+      : question.options;
+    return Array.isArray(options) ? options : [];
+  } catch (e) {
+    // Handle comma-separated string
+    if (typeof question.options === 'string' && question.options.includes(',')) {
+      return question.options.split(',').map(opt => opt.trim());
+    }
+    return [];
+  }
+}
+
+// Question types answered with option numbers or a score
+const NUMBERED_ANSWER_TYPES = ['multiselect', 'ranking', 'nps'];
+
+// Parse a multi-select, ranking or NPS reply, typed or transcribed, into the
+// answer and answer data that get saved, or { error }
+function parseNumberedAnswer(question, options, input, optionOrder, t = defaultTranslator) {
+  if (question.question_type === 'multiselect') {
+    const selection = parseMultiSelectAnswer(input, options, getSelectionLimits(question, options), t);
+    if (selection.error) {
+      return { error: selection.error };
+    }
+    const answerData = { selected: selection.selected, choices: selection.choices };
+    if (optionOrder) {
+      // choices are the numbers as shown; keep them as positions and store the original option numbers
+      answerData.positions = selection.choices;
+      answerData.choices = selection.choices.map(choice => optionOrder[choice - 1] + 1).sort((a, b) => a - b);
+    }
+    return { answer: selection.selected.join(', '), answerData };
+  }
+
+  if (question.question_type === 'ranking') {
+    const ranking = parseRankingAnswer(input, options, getRankCount(question, options), t);
+    if (ranking.error) {
+      return { error: ranking.error };
+    }
+    const answerData = { ranking: ranking.ranking, choices: ranking.choices };
+    if (optionOrder) {
+      answerData.positions = ranking.choices;
+      answerData.choices = ranking.choices.map(choice => optionOrder[choice - 1] + 1);
+    }
+    return { answer: ranking.ranking.join(' > '), answerData };
+  }
+
+  const score = /^\d+$/.test(String(input).trim()) ? parseInt(input) : NaN;
+  if (!(score >= NPS_MIN && score <= NPS_MAX)) {
+    return { error: t('invalidNps', { min: NPS_MIN, max: NPS_MAX }) };
+  }
+  return { answer: score.toString(), answerData: { score, category: getNpsCategory(score) } };
+}
+
+// Comparison operators available to routing rules
+const ROUTING_OPERATORS = ['always', 'equals', 'not_equals', 'contains', 'lt', 'lte', 'gt', 'gte'];
+
+// Parse the routing rules stored with a question
+function getQuestionRouting(question) {
+  let routing = question.routing;
+
+  if (typeof routing === 'string') {
+    try {
+      routing = JSON.parse(routing);
+    } catch (e) {
+      logger.error('Invalid routing format for question', {
+        questionId: question.id,
+        routing: question.routing
+      });
+      return [];
+    }
+  }
+
+  return Array.isArray(routing) ? routing : [];
+}
+
+// Check a single routing rule against the participant's answer.
+// Multi-select answers arrive as an array of chosen options.
+function matchesRoutingRule(rule, answer) {
+  const answers = (Array.isArray(answer) ? answer : [answer])
+    .map(item => String(item).trim().toLowerCase());
+  const values = (Array.isArray(rule.value) ? rule.value : [rule.value])
+    .filter(value => value !== undefined && value !== null)
+    .map(value => String(value).trim().toLowerCase());
+  const numericAnswer = parseFloat(answers[0]);
+  const numericValue = parseFloat(rule.value);
+  const isNumeric = !isNaN(numericAnswer) && !isNaN(numericValue);
+
+  switch (rule.operator) {
+    case 'always':
+      return true;
+    case 'equals':
+      return answers.some(item => values.includes(item));
+    case 'not_equals':
+      return !answers.some(item => values.includes(item));
+    case 'contains':
+      return answers.some(item => values.some(value => value && item.includes(value)));
+    case 'lt':
+      return isNumeric && numericAnswer < numericValue;
+    case 'lte':
+      return isNumeric && numericAnswer <= numericValue;
+    case 'gt':
+      return isNumeric && numericAnswer > numericValue;
+    case 'gte':
+      return isNumeric && numericAnswer >= numericValue;
+    default:
+      return false;
+  }
+}
+
+// Answer that routing rules are evaluated against: every selected option for
+// multi-select questions and the first choice for ranking questions
+function getRoutingAnswer(answer, answerData) {
+  if (answerData && answerData.selected) {
+    return answerData.selected;
+  }
+  if (answerData && answerData.ranking) {
+    return answerData.ranking[0];
+  }
+  return answer;
+}
+
+// Work out which question follows the one just answered.
+// Returns a question number, or 'end' when the survey should finish.
+function resolveNextQuestion(question, answer) {
+  const rule = getQuestionRouting(question).find(rule => matchesRoutingRule(rule, answer));
+
+  if (rule) {
+    if (rule.target === 'end') {
+      return 'end';
+    }
+
+    const target = parseInt(rule.target);
+    // Routing only ever jumps forward; anything else falls back to the next question
+    if (target > question.question_number) {
+      return target;
+    }
+
+    logger.warn('Ignoring invalid routing target', { questionId: question.id, target: rule.target });
+  }
+
+  return question.question_number + 1;
+}
+
+// Validate the routing rules submitted with a new survey.
+// Returns an error message, or null when every rule is usable.
+function validateSurveyRouting(questions) {
+  for (let i = 0; i < questions.length; i++) {
+    const routing = questions[i].routing || [];
+
+    if (!Array.isArray(routing)) {
+      return `Question ${i + 1}: routing must be a list of rules`;
+    }
+    // A matrix answer is one rating per statement, with no single value to compare
+    if (questions[i].type === 'matrix' && routing.length > 0) {
+      return `Question ${i + 1}: matrix questions can't have routing rules`;
+    }
+
+    for (const rule of routing) {
+      if (!ROUTING_OPERATORS.includes(rule.operator)) {
+        return `Question ${i + 1}: unknown routing operator "${rule.operator}"`;
+      }
+
+      if (rule.target !== 'end') {
+        const target = parseInt(rule.target);
+        if (!(target > i + 1 && target <= questions.length)) {
+          return `Question ${i + 1}: routing can only jump to a later question or the end of the survey`;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+// Choice question types whose options can be shown in random order
+const RANDOMIZABLE_OPTION_TYPES = ['multiple', 'multiselect', 'ranking'];
+
+// Options that stay in place when the others are shuffled, by normalized label
+const ANCHORED_OPTIONS = ['other', 'none', 'none of the above', 'all of the above', 'not applicable', 'n a',
+  'dont know', 'don t know', 'i dont know', 'i don t know', 'prefer not to say', 'rather not say'];
+
+// Whether an option such as "Other (please specify)" keeps its position
+function isAnchoredOption(option) {
+  const label = normalizeOptionText(option);
+  return ANCHORED_OPTIONS.some(anchor => label === anchor || label.startsWith(`${anchor} `));
+}
+
+// Fisher-Yates shuffle of a copy of the list
+function shuffleList(items) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// Random presentation order for a question's options, as stored option
+// indexes by displayed position. Anchored options keep their position.
+function buildOptionOrder(options) {
+  const shuffled = shuffleList(options.map((option, index) => index).filter(index => !isAnchoredOption(options[index])));
+  let next = 0;
+  return options.map((option, index) => (isAnchoredOption(option) ? index : shuffled[next++]));
+}
+
+// Whether a question's options are shuffled: its own optionOrder setting
+// ('random' or 'fixed') wins over the survey-wide default
+function shouldRandomizeOptions(question, randomization) {
+  if (!RANDOMIZABLE_OPTION_TYPES.includes(question.question_type)) {
+    return false;
+  }
+  const optionOrder = getQuestionSettings(question).optionOrder;
+  return optionOrder ? optionOrder === 'random' : !!(randomization && randomization.options);
+}
+
+// Random presentation order of a survey's questions, as stored question
+// numbers by displayed position. The whole survey is shuffled when
+// randomization.questions is set, otherwise consecutive questions sharing a
+// randomBlock setting are shuffled among themselves. Returns null when
+// every question keeps its place.
+function buildQuestionOrder(questions, randomization) {
+  const numbers = questions.map(question => question.question_number);
+  if (randomization && randomization.questions) {
+    return shuffleList(numbers);
+  }
+
+  const order = [];
+  let shuffled = false;
+  for (let i = 0; i < questions.length;) {
+    const block = getQuestionSettings(questions[i]).randomBlock;
+    let end = i + 1;
+    while (block && end < questions.length && getQuestionSettings(questions[end]).randomBlock === block) {
+      end++;
+    }
+    if (end - i > 1) {
+      order.push(...shuffleList(numbers.slice(i, end)));
+      shuffled = true;
+    } else {
+      order.push(numbers[i]);
+    }
+    i = end;
+  }
+  return shuffled ? order : null;
+}
+
+// Stored question number shown at a displayed position
+function getQuestionNumberAt(questionOrder, position) {
+  return questionOrder && questionOrder[position - 1] !== undefined ? questionOrder[position - 1] : position;
+}
+
+// Displayed position of a stored question number
+function getQuestionPosition(questionOrder, questionNumber) {
+  const index = questionOrder ? questionOrder.indexOf(questionNumber) : -1;
+  return index === -1 ? questionNumber : index + 1;
+}
+
+// Copy of a question numbered by its displayed position, which is what the
+// participant sees and what routing and navigation work with
+function withQuestionPosition(session, question) {
+  const questionOrder = (session.session_data || {}).questionOrder;
+  return { ...question, question_number: getQuestionPosition(questionOrder, question.question_number) };
+}
+
+// The option order a participant was shown for a question, or null
+function getOptionOrder(session, question) {
+  const optionOrders = (session.session_data || {}).optionOrder || {};
+  return optionOrders[question.id] || null;
+}
+
+// Copy of a question with its options in presentation order
+function applyOptionOrder(question, optionOrder) {
+  if (!optionOrder) {
+    return question;
+  }
+  const options = getQuestionOptions(question);
+  return { ...question, options: optionOrder.map(index => options[index]) };
+}
+
+// Load the participant's question order, shuffling it on first use.
+// Returns null when the survey presents questions in stored order.
+async function ensureQuestionOrder(client, session) {
+  const sessionData = session.session_data || {};
+  if (sessionData.questionOrder !== undefined) {
+    return sessionData.questionOrder;
+  }
+
+  const surveyResult = await client.query('SELECT randomization FROM surveys WHERE id = $1', [session.survey_id]);
+  const questionsResult = await client.query(
+    'SELECT question_number, settings FROM questions WHERE survey_id = $1 ORDER BY question_number',
+    [session.survey_id]
+  );
+  const questionOrder = buildQuestionOrder(questionsResult.rows, (surveyResult.rows[0] || {}).randomization);
+
+  await client.query(
+    `UPDATE sessions SET session_data = COALESCE(session_data, '{}') || $1::jsonb WHERE id = $2`,
+    [JSON.stringify({ questionOrder }), session.id]
+  );
+  session.session_data = { ...sessionData, questionOrder };
+  return questionOrder;
+}
+
+// Check a new survey's message templates: only known messages, and only the
+// placeholders each one fills in (plus piping where it's supported)
+function validateMessageTemplates(messages, questionCount) {
+  for (const [key, text] of Object.entries(getFilledTemplates(messages))) {
+    const template = MESSAGE_TEMPLATES.find(candidate => candidate.key === key);
+    if (!template) {
+      return `Unknown message template "${key}"`;
+    }
+    for (const match of text.matchAll(TEMPLATE_VARIABLE_PATTERN)) {
+      const name = match[1];
+      const isPiped = template.piping && (TEMPLATE_VARIABLES.includes(name) || /^attr\.\w+$/.test(name));
+      const isAnswer = /^q\d+$/.test(name);
+      if (isAnswer && template.piping === 'participant') {
+        return `${template.label} message is sent before any answers, so it can't use {{${name}}}`;
+      }
+      if (!template.placeholders.includes(name) && !isPiped && !(isAnswer && template.piping === 'answers')) {
+        return `${template.label} message: unknown placeholder {{${name}}}. Use ${template.placeholders.map(placeholder => `{{${placeholder}}}`).join(', ')}`;
+      }
+    }
+    for (const number of getReferencedQuestions(text)) {
+      if (number < 1 || number > questionCount) {
+        return `${template.label} message: {{q${number}}} refers to a question that doesn't exist`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Message templates the author filled in; blank ones use the default
+function getFilledTemplates(messages) {
+  return Object.fromEntries(Object.entries(messages || {})
+    .filter(([, text]) => typeof text === 'string' && text.trim())
+    .map(([key, text]) => [key, text.trim()]));
+}
+
+// Check which participant commands a new survey switches on or off
+function validateSurveyCommands(commands) {
+  if (!commands) {
+    return null;
+  }
+
+  for (const [name, enabled] of Object.entries(commands)) {
+    const command = PARTICIPANT_COMMANDS.find(candidate => candidate.name === name);
+    if (!command) {
+      return `Unknown participant command "${name}"`;
+    }
+    if (typeof enabled !== 'boolean') {
+      return `The ${name} command must be switched on or off`;
+    }
+    if (command.required && !enabled) {
+      return `The ${name} command can't be switched off`;
+    }
+  }
+
+  return null;
+}
+
+// Check a new survey's entry keyword: one word, and not a number so it can't
+// be mistaken for a menu choice or an answer
+function validateSurveyKeyword(keyword) {
+  if (keyword === undefined || keyword === null) {
+    return null;
+  }
+  if (typeof keyword !== 'string') {
+    return 'The keyword must be text';
+  }
+  if (!keyword.trim()) {
+    return null;
+  }
+  if (!/^[A-Za-z0-9_-]{2,30}$/.test(keyword.trim()) || /^\d+$/.test(keyword.trim())) {
+    return 'The keyword must be 2-30 letters, digits, dashes or underscores, and not only digits';
+  }
+  if (isReservedKeyword(keyword)) {
+    return `"${keyword.trim()}" is an answer or command word and can't be a survey keyword`;
+  }
+  return null;
+}
+
+// Words participants send as answers or commands, which can't be survey keywords
+const RESERVED_SURVEY_KEYWORDS = ['JOIN', 'YES', 'NO', 'Y', 'N', 'OK', 'SI', 'OUI', 'NON', 'SIM', 'NAO'];
+
+function isReservedKeyword(keyword) {
+  const normalized = normalizeKeyword(keyword);
+  return RESERVED_SURVEY_KEYWORDS.includes(normalized) ||
+    OPT_OUT_KEYWORDS.includes(normalized) ||
+    OPT_IN_KEYWORDS.includes(normalized) ||
+    PARTICIPANT_COMMANDS.some(command =>
+      Object.values(command.keywords).some(words => words.some(word => normalizeKeyword(word) === normalized)));
+}
+
+// Check a new survey's reminder and expiry settings. Blank settings use the
+// server defaults.
+function validateReminders(reminders) {
+  if (!reminders) {
+    return null;
+  }
+
+  for (const field of ['afterHours', 'expireAfterHours']) {
+    if (reminders[field] !== undefined && !(typeof reminders[field] === 'number' && reminders[field] > 0)) {
+      return 'Reminder and expiry times must be a positive number of hours';
+    }
+  }
+  if (reminders.maxReminders !== undefined && !(Number.isInteger(reminders.maxReminders) && reminders.maxReminders >= 0)) {
+    return 'The number of reminders must be a whole number of at least 0';
+  }
+
+  const settings = getReminderSettings({ reminders });
+  if (settings.maxReminders > 0 && settings.expireAfterHours <= settings.afterHours) {
+    return 'Sessions must expire later than the first reminder is sent';
+  }
+  if (reminders.quietHours && !parseQuietHours(reminders.quietHours)) {
+    return 'Quiet hours must look like 21-8 (from 21:00 until 08:00)';
+  }
+  if (reminders.timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: reminders.timezone });
+    } catch (e) {
+      return `Unknown time zone "${reminders.timezone}"`;
+    }
+  }
+
+  return null;
+}
+
+// Check a new survey's completion quotas. Segments are tied to the answers of
+// a screener question, so they need the survey's screener questions.
+function validateQuotas(quotas, screening) {
+  if (!quotas) {
+    return null;
+  }
+
+  if (quotas.maxCompletes && !(parseInt(quotas.maxCompletes) > 0)) {
+    return 'The completion cap must be a positive number';
+  }
+
+  const screeners = (screening && screening.questions) || [];
+  const segments = quotas.segments || [];
+  if (!Array.isArray(segments)) {
+    return 'Quota segments must be a list';
+  }
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    const screener = screeners[parseInt(segment.screener)];
+    if (!screener) {
+      return `Quota ${i + 1}: choose one of the survey's screener questions`;
+    }
+    if (!Array.isArray(segment.answers) || segment.answers.length === 0 ||
+        segment.answers.some(answer => !screener.options.includes(answer))) {
+      return `Quota ${i + 1}: choose answers from the options of screener "${screener.text}"`;
+    }
+    if (!(parseInt(segment.limit) > 0)) {
+      return `Quota ${i + 1}: the number of completes must be a positive number`;
+    }
+  }
+
+  return null;
+}
+
+// Check a new survey's consent step and screener questions. Each screener
+// needs at least two options and at least one qualifying answer.
+function validateConsentAndScreening(consent, screening, languages, translations) {
+  if (consent && consent.text !== undefined && typeof consent.text !== 'string') {
+    return 'Consent text must be text';
+  }
+  // Stored with each participant's answer in survey_participants.consent_version
+  if (consent && consent.version && String(consent.version).trim().length > 100) {
+    return 'The consent version must be 100 characters or fewer';
+  }
+
+  const screeners = (screening && screening.questions) || [];
+  if (!Array.isArray(screeners)) {
+    return 'Screener questions must be a list';
+  }
+  for (let i = 0; i < screeners.length; i++) {
+    const screener = screeners[i];
+    if (!screener.text || !String(screener.text).trim()) {
+      return `Screener ${i + 1}: question text is required`;
+    }
+    if (!Array.isArray(screener.options) || screener.options.length < 2) {
+      return `Screener ${i + 1}: screener questions need at least two options`;
+    }
+    if (!Array.isArray(screener.qualifying) || screener.qualifying.length === 0) {
+      return `Screener ${i + 1}: choose at least one answer that qualifies`;
+    }
+    const unknown = screener.qualifying.find(option => !screener.options.includes(option));
+    if (unknown !== undefined) {
+      return `Screener ${i + 1}: qualifying answer "${unknown}" is not one of the options`;
+    }
+  }
+
+  for (const language of languages) {
+    const translated = ((translations || {})[language] || {}).screening;
+    const mismatch = ((translated && translated.questions) || []).findIndex((question, index) =>
+      question && question.options && (!screeners[index] || question.options.length !== screeners[index].options.length));
+    if (mismatch !== -1) {
+      return `Screener ${mismatch + 1}: the ${getLanguageName(language)} translation must have one entry per option`;
+    }
+  }
+
+  return null;
+}
+
+// Validate the randomization settings of a new survey.
+// Returns an error message, or null when they are usable.
+function validateRandomization(questions, randomization) {
+  const hasRouting = question => (question.routing || []).length > 0;
+
+  if (randomization && randomization.questions && questions.some(hasRouting)) {
+    return 'Question order can only be shuffled in surveys without routing rules';
+  }
+
+  const blockStarts = new Map();
+  for (let i = 0; i < questions.length; i++) {
+    const settings = questions[i].settings || {};
+
+    if (settings.optionOrder && !['random', 'fixed'].includes(settings.optionOrder)) {
+      return `Question ${i + 1}: option order must be "random" or "fixed"`;
+    }
+    if (settings.optionOrder === 'random' && !RANDOMIZABLE_OPTION_TYPES.includes(questions[i].type)) {
+      return `Question ${i + 1}: only multiple choice, multi-select and ranking options can be shuffled`;
+    }
+
+    const block = settings.randomBlock;
+    if (!block) continue;
+    const previousBlock = i > 0 ? (questions[i - 1].settings || {}).randomBlock : null;
+    if (previousBlock !== block) {
+      if (blockStarts.has(block)) {
+        return `Question ${i + 1}: questions in random block "${block}" must be next to each other`;
+      }
+      blockStarts.set(block, i + 1);
+    }
+    if (hasRouting(questions[i])) {
+      return `Question ${i + 1}: questions in a random block can't have routing rules`;
+    }
+  }
+
+  // Routing may jump to the start of a block, which begins with whichever
+  // question the participant is shown first, but not into the middle of one
+  for (let i = 0; i < questions.length; i++) {
+    for (const rule of questions[i].routing || []) {
+      const target = parseInt(rule.target);
+      const targetBlock = target ? ((questions[target - 1] || {}).settings || {}).randomBlock : null;
+      if (targetBlock && blockStarts.get(targetBlock) !== target) {
+        return `Question ${i + 1}: routing can only jump to the first question of random block "${targetBlock}"`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Validate the type-specific settings submitted with a new survey.
+// Returns an error message, or null when every question is usable.
+function validateQuestionSettings(questions) {
+  for (let i = 0; i < questions.length; i++) {
+    const question = questions[i];
+    const settings = question.settings || {};
+
+    // Participants answer choice questions with an option number, so there
+    // must be options to pick from
+    if (CHOICE_QUESTION_TYPES.includes(question.type) &&
+        !(Array.isArray(question.options) && question.options.some(option => String(option).trim()))) {
+      return `Question ${i + 1}: choice questions need at least one option`;
+    }
+
+    if (question.type === 'multiselect') {
+      const optionCount = Array.isArray(question.options) ? question.options.length : 0;
+      const minSelections = settings.minSelections ? parseInt(settings.minSelections) : 1;
+      const maxSelections = settings.maxSelections ? parseInt(settings.maxSelections) : optionCount;
+
+      if (optionCount === 0) {
+        return `Question ${i + 1}: multi-select questions need at least one option`;
+      }
+
+      if (!(minSelections >= 1 && maxSelections >= minSelections && maxSelections <= optionCount)) {
+        return `Question ${i + 1}: selection limits must be between 1 and ${optionCount}, with the minimum not above the maximum`;
+      }
+    }
+
+    if (settings.aliases) {
+      if (typeof settings.aliases !== 'object' || Array.isArray(settings.aliases)) {
+        return `Question ${i + 1}: aliases must map each option to a list of words`;
+      }
+      const seen = new Map();
+      for (const [option, aliases] of Object.entries(settings.aliases)) {
+        if (!Array.isArray(aliases)) {
+          return `Question ${i + 1}: the aliases for "${option}" must be a list`;
+        }
+        for (const alias of aliases) {
+          const key = normalizeOptionText(alias);
+          if (seen.has(key) && seen.get(key) !== option) {
+            return `Question ${i + 1}: "${alias}" is an alias for both "${seen.get(key)}" and "${option}"`;
+          }
+          seen.set(key, option);
         }
       }
-      
-      questionText += '\n' + options.map((opt, idx) => `${idx + 1}. ${opt}`).join('\n');
-      questionText += '\n\nPlease reply with the number of your choice (1, 2, 3...)';
-    } else if (question.question_type === 'likert') {
-      let scale;
-      try {
-        scale = typeof question.scale === 'string' 
-          ? JSON.parse(question.scale) 
-          : question.scale;
-      } catch (e) {
-        // Default scale if parsing fails
-        scale = { min: 1, max: 5, labels: ['Poor', 'Excellent'] };
-        logger.error('Invalid scale format for question', { 
-          questionId: question.id, 
-          scale: question.scale 
-        });
+    }
+
+    if (question.type === 'matrix') {
+      const statementCount = Array.isArray(question.options) ? question.options.length : 0;
+      const scale = question.scale || {};
+
+      if (statementCount < 2) {
+        return `Question ${i + 1}: matrix questions need at least two statements`;
+      }
+
+      if (!(Number.isInteger(scale.min) && Number.isInteger(scale.max) && scale.min < scale.max)) {
+        return `Question ${i + 1}: matrix questions need a rating scale with a minimum below the maximum`;
       }
-      
-      questionText += `\n\nRate from ${scale.min} to ${scale.max}`;
-      questionText += `\n(${scale.min} = ${scale.labels[0]}, ${scale.max} = ${scale.labels[1]})`;
-      questionText += '\n\nPlease reply with a number';
-    } else if (question.question_type === 'text') {
-      questionText += '\n\nPlease provide your answer in text or voice message.';
     }
-    
-    await message.reply(questionText);
-    
-    // Update session
-    await client.query(
-      'UPDATE sessions SET current_question = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-      [question.question_number, session.id]
-    );
-    
-  } catch (error) {
-    logger.error('Error in sendQuestion', error);
-    await message.reply('Sorry, there was an error loading the question. Please try again.');
-  } finally {
-    client.release();
+
+    if (question.type === 'ranking') {
+      const optionCount = Array.isArray(question.options) ? question.options.length : 0;
+      const rankCount = settings.rankCount ? parseInt(settings.rankCount) : optionCount;
+
+      if (optionCount < 2) {
+        return `Question ${i + 1}: ranking questions need at least two options`;
+      }
+
+      if (!(rankCount >= 1 && rankCount <= optionCount)) {
+        return `Question ${i + 1}: the number of options to rank must be between 1 and ${optionCount}`;
+      }
+    }
+
+    if (question.type === 'number' && typeof settings.min === 'number' && typeof settings.max === 'number' &&
+        settings.min > settings.max) {
+      return `Question ${i + 1}: the minimum value cannot be greater than the maximum`;
+    }
+
+    if (question.type === 'date') {
+      if (settings.dateFormat && !DATE_FORMAT_EXAMPLES[settings.dateFormat]) {
+        return `Question ${i + 1}: unsupported date format "${settings.dateFormat}"`;
+      }
+      if (settings.minDate && settings.maxDate && settings.minDate > settings.maxDate) {
+        return `Question ${i + 1}: the earliest date cannot be after the latest date`;
+      }
+    }
+
+    if (settings.mediaPlacement && !MEDIA_PLACEMENTS.includes(settings.mediaPlacement)) {
+      return `Question ${i + 1}: media placement must be one of ${MEDIA_PLACEMENTS.join(', ')}`;
+    }
+
+    // The id of a media_files row, as returned by /api/media
+    const mediaId = Number(question.mediaId);
+    if (question.mediaId && !(/^\d+$/.test(String(question.mediaId)) && mediaId >= 1 && mediaId <= 2147483647)) {
+      return `Question ${i + 1}: attached media id must be a positive whole number`;
+    }
+  }
+
+  return null;
+}
+
+// Record where the participant goes next and which questions the jump skips
+async function applyRouting(client, session, question, answer) {
+  let nextQuestion = resolveNextQuestion(question, answer);
+
+  const skippedResult = await client.query(
+    `SELECT id FROM questions
+     WHERE survey_id = $1 AND question_number > $2 AND ($3::integer IS NULL OR question_number < $3)`,
+    [session.survey_id, question.question_number, nextQuestion === 'end' ? null : nextQuestion]
+  );
+
+  const sessionData = session.session_data || {};
+  const skippedQuestions = new Set(sessionData.skippedQuestions || []);
+  skippedQuestions.delete(question.id);
+  skippedResult.rows.forEach(row => skippedQuestions.add(row.id));
+
+  // A changed answer continues past questions that were already answered
+  const editing = sessionData.editing && sessionData.editing.questionNumber === question.question_number;
+  if (editing) {
+    // Answers to questions the new path jumps over no longer apply. They
+    // stay in the revision history.
+    if (skippedResult.rows.length > 0) {
+      const skippedIds = skippedResult.rows.map(row => row.id);
+      await client.query(
+        `INSERT INTO response_revisions
+           (response_id, survey_id, participant_id, question_id, sub_item, answer, answer_data,
+            follow_up_comment, follow_up_probes, voice_metadata, answered_at)
+         SELECT id, survey_id, participant_id, question_id, sub_item, answer, answer_data,
+                follow_up_comment, follow_up_probes, voice_metadata, created_at
+         FROM responses WHERE survey_id = $1 AND participant_id = $2 AND question_id = ANY($3::integer[])`,
+        [session.survey_id, session.participant_id, skippedIds]
+      );
+      await client.query(
+        'DELETE FROM responses WHERE survey_id = $1 AND participant_id = $2 AND question_id = ANY($3::integer[])',
+        [session.survey_id, session.participant_id, skippedIds]
+      );
+    }
+    nextQuestion = await findResumeQuestion(client, session, nextQuestion);
+  }
+
+  await client.query(
+    `UPDATE sessions
+     SET session_data = (COALESCE(session_data, '{}') || $1::jsonb) - 'editing'
+     WHERE id = $2`,
+    [JSON.stringify({ nextQuestion, skippedQuestions: Array.from(skippedQuestions) }), session.id]
+  );
+
+  if (skippedResult.rows.length > 0) {
+    logger.info(`Routing skipped ${skippedResult.rows.length} questions for session ${session.id}`);
   }
+
+  return nextQuestion;
 }
 
-async function transcribeVoice(media) {
+async function transcribeVoice(media, language) {
   if (!process.env.OPENAI_API_KEY) {
     logger.warn('OpenAI API key not configured');
     return null;
@@ -638,7 +4133,10 @@ async function transcribeVoice(media) {
       contentType: media.mimetype
     });
     formData.append('model', 'whisper-1');
-    formData.append('language', 'en'); // You can make this dynamic based on user preference
+    // Whisper takes ISO-639-1 codes, so "pt-BR" is sent as "pt"
+    if (language) {
+      formData.append('language', language.split('-')[0]);
+    }
     
     // Make request to OpenAI
     const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
@@ -667,12 +4165,181 @@ async function transcribeVoice(media) {
   }
 }
 
+// Adaptive follow-up probes are produced by a pluggable provider. Each provider
+// exposes generateProbe(context) and resolves to the probe text, or null when
+// it has nothing to ask. FOLLOW_UP_PROVIDER selects one; by default OpenAI is
+// used when an API key is configured.
+const FOLLOW_UP_MODEL = process.env.FOLLOW_UP_MODEL || 'gpt-4o-mini';
+const FOLLOW_UP_TIMEOUT_MS = parseInt(process.env.FOLLOW_UP_TIMEOUT_MS) || 15000;
+const MAX_PROBES_LIMIT = 3;
+
+const followUpProviders = {
+  openai: {
+    name: 'openai',
+    async generateProbe(context) {
+      const previous = context.previousProbes
+        .map(item => `Interviewer: ${item.probe}\nParticipant: ${item.answer}`)
+        .join('\n');
+
+      const response = await fetch('https://api.openai.com/v1/chat/completions', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: FOLLOW_UP_TIMEOUT_MS,
+        body: JSON.stringify({
+          model: FOLLOW_UP_MODEL,
+          temperature: 0.4,
+          max_tokens: 80,
+          messages: [
+            {
+              role: 'system',
+              content: 'You are a friendly survey interviewer chatting on WhatsApp. Write ONE short, open-ended, neutral follow-up question ' +
+                'that helps the participant explain their answer. Do not lead, judge or repeat earlier questions. ' +
+                'Reply with the question only.'
+            },
+            {
+              role: 'user',
+              content: [
+                `Survey: ${context.surveyTitle}`,
+                context.surveyGoal ? `Research goal: ${context.surveyGoal}` : '',
+                `Question: ${context.questionText}`,
+                `Answer: ${context.answer}`,
+                previous ? `Conversation so far:\n${previous}` : '',
+                context.language ? `Write the follow-up question in ${context.language}.` : ''
+              ].filter(Boolean).join('\n')
+            }
+          ]
+        })
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`OpenAI API error: ${response.status} - ${errorText}`);
+      }
+
+      const result = await response.json();
+      const text = result.choices && result.choices[0] && result.choices[0].message.content;
+      return text ? text.trim().replace(/^"|"$/g, '') : null;
+    }
+  },
+
+  // Deterministic probes for offline development and testing
+  stub: {
+    name: 'stub',
+    async generateProbe(context) {
+      const probes = [
+        `You said "${context.answer}". What is the main reason behind that?`,
+        'Could you give a specific example of that?',
+        'Is there anything else about this you think we should know?'
+      ];
+      return probes[Math.min(context.previousProbes.length, probes.length - 1)];
+    }
+  }
+};
+
+// Get the configured follow-up probe provider, or null when adaptive probing is unavailable
+function getFollowUpProvider() {
+  const name = process.env.FOLLOW_UP_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : null);
+
+  if (name === 'openai' && !process.env.OPENAI_API_KEY) {
+    return null;
+  }
+
+  return followUpProviders[name] || null;
+}
+
+// Maximum number of probes (including the first) asked for a question
+function getMaxProbes(question) {
+  const policy = question ? getFollowUpPolicy(question) : {};
+  if (!policy.adaptive) {
+    return 1;
+  }
+  return Math.min(Math.max(parseInt(policy.maxProbes) || 1, 1), MAX_PROBES_LIMIT);
+}
+
+// Load a question by id
+async function getQuestionById(client, questionId) {
+  const result = await client.query('SELECT * FROM questions WHERE id = $1', [questionId]);
+  return result.rows[0] || null;
+}
+
+// Ask the provider for a context-aware probe. Returns { text, provider } or
+// null when the question doesn't use adaptive probes or generation fails.
+async function generateAdaptiveProbe(client, session, question, answer, previousProbes) {
+  if (!question || !getFollowUpPolicy(question).adaptive) {
+    return null;
+  }
+
+  const provider = getFollowUpProvider();
+  if (!provider) {
+    return null;
+  }
+
+  try {
+    const surveyResult = await client.query(
+      'SELECT title, goal FROM surveys WHERE id = $1',
+      [session.survey_id]
+    );
+    const survey = surveyResult.rows[0] || {};
+
+    const text = await provider.generateProbe({
+      surveyTitle: survey.title || '',
+      surveyGoal: survey.goal || '',
+      questionText: question.question_text,
+      questionType: question.question_type,
+      language: session.language ? getLanguageName(session.language) : '',
+      answer,
+      previousProbes
+    });
+
+    return text ? { text, provider: provider.name } : null;
+  } catch (error) {
+    logger.error(`Error generating follow-up probe with ${provider.name}`, error);
+    return null;
+  }
+}
+
+// Pick the first probe for an answer: an adaptive probe when the question uses
+// them, otherwise the question's custom prompt, otherwise the default wording
+async function chooseFollowUpProbe(client, session, question, answer, defaultText) {
+  const adaptiveProbe = await generateAdaptiveProbe(client, session, question, answer, []);
+  if (adaptiveProbe) {
+    return adaptiveProbe;
+  }
+
+  // Custom prompts can pipe in earlier answers, including the one being followed up
+  const policy = question.question_type ? getFollowUpPolicy(question) : {};
+  if (policy.prompt) {
+    return { text: renderTemplate(policy.prompt, await getTemplateContext(client, session)), provider: 'custom' };
+  }
+
+  return { text: defaultText, provider: 'template' };
+}
+
+// Remember which probe the participant is answering
+async function saveCurrentProbe(client, sessionId, probe, probeCount) {
+  await client.query(
+    `UPDATE sessions
+     SET session_data = COALESCE(session_data, '{}') || $1::jsonb
+     WHERE id = $2`,
+    [JSON.stringify({ currentProbe: { ...probe, askedAt: new Date().toISOString() }, probeCount }), sessionId]
+  );
+}
+
 // Complete processResponse function with all fixes
 // Replace your existing processResponse function with this one
 
 async function processResponse(session, message) {
   const client = await pool.connect();
   try {
+    // Quotas can fill up while a participant is part-way through
+    if (await isOverQuota(client, session.survey_id, session.participant_id)) {
+      await stopOverQuota(client, session, message);
+      return;
+    }
+    
     // Check if this is a voice confirmation response
     if (session.stage === 'voice_confirmation') {
       await handleVoiceConfirmation(session, message, client);
@@ -687,19 +4354,40 @@ async function processResponse(session, message) {
     
     const result = await client.query(
       'SELECT * FROM questions WHERE survey_id = $1 AND question_number = $2',
-      [session.survey_id, session.current_question]
+      [session.survey_id, getQuestionNumberAt((session.session_data || {}).questionOrder, session.current_question)]
     );
+    const { language, t } = await getSessionLocale(client, session);
     
     if (result.rows.length === 0) {
-      await message.reply('Something went wrong. Please start over.');
+      await message.reply(t('startOver'));
       return;
     }
     
-    const question = result.rows[0];
+    // Replies are matched against the wording and option order the participant
+    // saw, but stored against the survey's default wording so results line up
+    // across languages and presentation orders
+    const optionOrder = getOptionOrder(session, result.rows[0]);
+    const question = { ...applyOptionOrder(result.rows[0], optionOrder), question_number: session.current_question };
+    const localized = { ...applyOptionOrder(localizeQuestion(result.rows[0], language), optionOrder), question_number: session.current_question };
     let answer = message.body;
-    let followUpComment = null;
+    let answerData = null;
     let voiceMetadata = null;
     
+    // Photo, document and location questions take the attachment itself as
+    // the answer; other questions can't use one
+    if (ATTACHMENT_QUESTION_TYPES.includes(question.question_type)) {
+      const attachment = await receiveAttachmentAnswer(client, question, message, t);
+      if (attachment.error) {
+        await message.reply(t('invalidAnswer', { error: attachment.error }));
+        return;
+      }
+      answer = attachment.answer;
+      answerData = attachment.answerData;
+    } else if (ATTACHMENT_MESSAGE_TYPES.includes(message.type)) {
+      await message.reply(t('invalidAnswer', { error: t('attachmentNotExpected') }));
+      return;
+    }
+    
     // Handle voice messages with enhanced error handling
     if (message.hasMedia && message.type === 'ptt') {
       logger.info('Processing voice message...');
@@ -709,7 +4397,7 @@ async function processResponse(session, message) {
         logger.info(`Downloaded voice message: ${media.mimetype}, size: ${media.data.length}`);
         
         if (isOpenAIConfigured) {
-          const transcription = await transcribeVoice(media);
+          const transcription = await transcribeVoice(media, language);
           
           if (transcription) {
             answer = transcription;
@@ -719,6 +4407,55 @@ async function processResponse(session, message) {
               originalTranscription: transcription,
               mimetype: media.mimetype
             };
+
+            // Typed questions are validated before asking for confirmation
+            if (question.question_type === 'multiple' || question.question_type === 'curated') {
+              const localizedOptions = getQuestionOptions(localized);
+              const match = matchOption(transcription, localizedOptions, getQuestionSettings(localized).aliases);
+              if (match && match.ambiguous) {
+                const error = t('didYouMean', {
+                  choices: match.ambiguous.map(index => `${index + 1}. ${localizedOptions[index]}`).join(` ${t('or')} `)
+                });
+                await message.reply(`${t('voiceHeard', { text: transcription })}\n\n${t('invalidAnswer', { error })}`);
+                return;
+              }
+              if (!match) {
+                await message.reply(`${t('voiceHeard', { text: transcription })}\n\n${t('invalidAnswer', { error: t('invalidChoice', { count: localizedOptions.length }) })}`);
+                return;
+              }
+              answer = getQuestionOptions(question)[match.index];
+              answerData = { match: { method: match.method, input: transcription } };
+              if (optionOrder) {
+                answerData.position = match.index + 1;
+              }
+            } else if (STRUCTURED_INPUT_TYPES.includes(question.question_type)) {
+              const parsed = parseStructuredAnswer(question, transcription, t);
+              if (parsed.error) {
+                await message.reply(`${t('voiceHeard', { text: transcription })}\n\n${t('invalidAnswer', { error: parsed.error })}`);
+                return;
+              }
+              answer = parsed.answer;
+              answerData = { value: parsed.value, raw: transcription };
+            } else if (question.question_type === 'matrix') {
+              const parsed = parseMatrixAnswer(transcription, getMatrixStatements(localized), getQuestionScale(question), t);
+              if (parsed.error) {
+                await message.reply(`${t('voiceHeard', { text: transcription })}\n\n${t('invalidAnswer', { error: parsed.error })}`);
+                return;
+              }
+              answer = parsed.ratings.join(' ');
+              answerData = { ratings: parsed.ratings };
+            }
+            
+            if (NUMBERED_ANSWER_TYPES.includes(question.question_type)) {
+              // "8." or "1, 3." as transcribed: drop the closing punctuation
+              const parsed = parseNumberedAnswer(question, getQuestionOptions(question), transcription.replace(/[.!?]+$/, ''), optionOrder, t);
+              if (parsed.error) {
+                await message.reply(`${t('voiceHeard', { text: transcription })}\n\n${t('invalidAnswer', { error: parsed.error })}`);
+                return;
+              }
+              answer = parsed.answer;
+              answerData = parsed.answerData;
+            }
             
             // Store transcription in session for confirmation
             await client.query(
@@ -732,6 +4469,7 @@ async function processResponse(session, message) {
                WHERE id = $2`,
               [JSON.stringify({ 
                 answer, 
+                answerData,
                 questionId: question.id, 
                 voiceMetadata,
                 questionType: question.question_type 
@@ -739,46 +4477,72 @@ async function processResponse(session, message) {
             );
             
             // Ask for confirmation
-            await message.reply(`I heard: "${answer}"\n\nIs this correct?\n1. Yes\n2. No, let me try again`);
+            await message.reply(`${t('voiceHeard', { text: localizeAnswer(question, localized, answer, answerData, t) })}\n\n${t('voiceConfirm', { text: localizeAnswer(question, localized, answer, answerData, t), yes: t('yes'), no: t('no') })}`);
             return;
           } else {
             logger.warn('Transcription returned empty result');
-            await message.reply('Sorry, I couldn\'t understand the voice message. Please try again or type your response.');
+            await message.reply(t('voiceNotUnderstood'));
             return;
           }
         } else {
-          await message.reply('Voice transcription is not available. Please type your response instead.');
+          await message.reply(t('voiceUnavailable'));
           return;
         }
       } catch (error) {
         logger.error('Error processing voice message:', error);
-        await message.reply('Sorry, there was an error processing your voice message. Please try again or type your response.');
+        await message.reply(t('voiceError'));
         return;
       }
     }
     
-    // Validate answer based on question type
-    if (question.question_type === 'multiple' || question.question_type === 'curated') {
-      let options;
-      try {
-        options = typeof question.options === 'string' 
-          ? JSON.parse(question.options) 
-          : question.options;
-      } catch (e) {
-        // Handle comma-separated string
-        if (typeof question.options === 'string' && question.options.includes(',')) {
-          options = question.options.split(',').map(opt => opt.trim());
-        } else {
-          options = ['Option 1', 'Option 2'];
-        }
+    // A tapped button or list row carries the answer in its id
+    let interactiveSelection = null;
+    if (message.type === 'buttons_response' || message.type === 'list_response') {
+      const selection = parseChoiceId(message.type === 'buttons_response' ? message.selectedButtonId : message.selectedRowId);
+      if (!selection || selection.questionId !== question.id) {
+        await message.reply(t('invalidAnswer', { error: t('staleSelection') }));
+        // Re-send the question still waiting for an answer
+        await sendQuestion({
+          ...session,
+          session_data: { ...session.session_data, nextQuestion: session.current_question }
+        }, message);
+        return;
       }
+      answer = selection.value;
+      interactiveSelection = message.type === 'buttons_response' ? 'button' : 'list';
+    }
+    
+    // Validate answer based on question type
+    if (CHOICE_QUESTION_TYPES.includes(question.question_type)) {
+      const options = getQuestionOptions(question);
       
-      const choice = parseInt(answer);
-      if (choice >= 1 && choice <= options.length) {
-        answer = options[choice - 1];
+      if (NUMBERED_ANSWER_TYPES.includes(question.question_type)) {
+        const parsed = parseNumberedAnswer(question, options, answer, optionOrder, t);
+        if (parsed.error) {
+          await message.reply(t('invalidAnswer', { error: parsed.error }));
+          return;
+        }
+        answer = parsed.answer;
+        answerData = parsed.answerData;
       } else {
-        await message.reply(`Please reply with a number between 1 and ${options.length}.`);
-        return;
+        const localizedOptions = getQuestionOptions(localized);
+        const match = matchOption(answer, localizedOptions, getQuestionSettings(localized).aliases);
+        if (match && match.ambiguous) {
+          const error = t('didYouMean', {
+            choices: match.ambiguous.map(index => `${index + 1}. ${localizedOptions[index]}`).join(` ${t('or')} `)
+          });
+          await message.reply(t('invalidAnswer', { error }));
+          return;
+        }
+        if (!match) {
+          await message.reply(t('invalidAnswer', { error: t('invalidChoice', { count: options.length }) }));
+          return;
+        }
+        answer = options[match.index];
+        answerData = { match: { method: interactiveSelection || match.method, input: message.body } };
+        if (optionOrder) {
+          answerData.position = match.index + 1;
+        }
       }
     } else if (question.question_type === 'likert') {
       let scale;
@@ -793,32 +4557,43 @@ async function processResponse(session, message) {
       const rating = parseInt(answer);
       if (rating >= scale.min && rating <= scale.max) {
         answer = rating.toString();
+        if (interactiveSelection) {
+          answerData = { match: { method: interactiveSelection, input: message.body } };
+        }
       } else {
-        await message.reply(`Please reply with a number between ${scale.min} and ${scale.max}.`);
+        await message.reply(t('invalidAnswer', { error: t('invalidRating', { min: scale.min, max: scale.max }) }));
+        return;
+      }
+    } else if (question.question_type === 'nps') {
+      const parsed = parseNumberedAnswer(question, [], answer, optionOrder, t);
+      if (parsed.error) {
+        await message.reply(t('invalidAnswer', { error: parsed.error }));
         return;
       }
+      answer = parsed.answer;
+      answerData = parsed.answerData;
+    } else if (STRUCTURED_INPUT_TYPES.includes(question.question_type)) {
+      const parsed = parseStructuredAnswer(question, answer, t);
+      if (parsed.error) {
+        await message.reply(t('invalidAnswer', { error: parsed.error }));
+        return;
+      }
+      answer = parsed.answer;
+      answerData = { value: parsed.value, raw: message.body };
+      if (interactiveSelection) {
+        answerData.match = { method: interactiveSelection, input: message.body };
+      }
+    } else if (question.question_type === 'matrix') {
+      const parsed = parseMatrixAnswer(answer, getMatrixStatements(localized), getQuestionScale(question), t);
+      if (parsed.error) {
+        await message.reply(t('invalidAnswer', { error: parsed.error }));
+        return;
+      }
+      answer = parsed.ratings.join(' ');
+      answerData = { ratings: parsed.ratings };
     }
     
-    // Check if response already exists
-    const existingResponse = await client.query(
-      'SELECT id FROM responses WHERE survey_id = $1 AND participant_id = $2 AND question_id = $3',
-      [session.survey_id, session.participant_id, question.id]
-    );
-    
-    if (existingResponse.rows.length > 0) {
-      // Update existing response instead of inserting
-      await client.query(
-        'UPDATE responses SET answer = $1, voice_metadata = $2, created_at = CURRENT_TIMESTAMP WHERE survey_id = $3 AND participant_id = $4 AND question_id = $5',
-        [answer, voiceMetadata ? JSON.stringify(voiceMetadata) : null, session.survey_id, session.participant_id, question.id]
-      );
-      logger.info(`Updated existing response for participant ${session.participant_id}, question ${question.id}`);
-    } else {
-      // Insert new response
-      await client.query(
-        'INSERT INTO responses (survey_id, participant_id, question_id, answer, follow_up_comment, voice_metadata) VALUES ($1, $2, $3, $4, $5, $6)',
-        [session.survey_id, session.participant_id, question.id, answer, followUpComment, voiceMetadata ? JSON.stringify(voiceMetadata) : null]
-      );
-    }
+    await saveAnswer(client, session, question, answer, answerData, voiceMetadata);
     
     // Broadcast new response for real-time analytics
     const responseData = {
@@ -830,8 +4605,16 @@ async function processResponse(session, message) {
       timestamp: new Date().toISOString()
     };
     io.emit('new-response', responseData);
-    
-    // ALWAYS ask follow-up for ALL question types
+
+    // Decide where the participant goes next
+    await applyRouting(client, session, question, getRoutingAnswer(answer, answerData));
+
+    // Questions whose follow-up policy doesn't call for a probe go straight on
+    if (!shouldAskFollowUp(question, answer, answerData)) {
+      await advanceToNextQuestion(client, session, message);
+      return;
+    }
+
     // Update session to follow-up stage
     await client.query(
       `UPDATE sessions 
@@ -846,40 +4629,59 @@ async function processResponse(session, message) {
     );
     
     // Create conversational acknowledgment based on question type and answer
+    const displayAnswer = localizeAnswer(question, localized, answer, answerData, t);
     let followUpMessage = '';
     
     if (question.question_type === 'curated') {
       // Handle Agree/Disagree questions
       const lowerAnswer = answer.toLowerCase();
       if (lowerAnswer === 'agree') {
-        followUpMessage = 'Thank you for sharing that you agree with the statement. Can you tell me more about why you agree?\n\n';
+        followUpMessage = t('followUpAgree');
       } else if (lowerAnswer === 'disagree') {
-        followUpMessage = 'Thank you for sharing that you disagree with the statement. Can you tell me more about why you disagree?\n\n';
+        followUpMessage = t('followUpDisagree');
       } else if (lowerAnswer === 'neutral' || lowerAnswer === 'undecided') {
-        followUpMessage = 'Thank you for sharing that you\'re undecided about this statement. Can you tell me more about why you\'re undecided?\n\n';
+        followUpMessage = t('followUpUndecided');
       } else {
-        followUpMessage = `Thank you for your answer: "${answer}". Can you tell me more about your response?\n\n`;
+        followUpMessage = t('followUpAnswer', { answer: displayAnswer });
       }
     } else if (question.question_type === 'multiple') {
       // Handle multiple choice questions
-      followUpMessage = `Thank you for selecting "${answer}". Can you tell me more about why you chose this option?\n\n`;
+      followUpMessage = t('followUpChoice', { answer: displayAnswer });
+    } else if (question.question_type === 'multiselect') {
+      // Handle multi-select questions
+      followUpMessage = t('followUpChoices', { answer: displayAnswer });
     } else if (question.question_type === 'likert') {
       // Handle rating scale questions
-      followUpMessage = `Thank you for giving a rating of ${answer}. Can you tell me more about why you gave this rating?\n\n`;
+      followUpMessage = t('followUpRating', { answer });
+    } else if (question.question_type === 'matrix') {
+      // Handle matrix questions
+      followUpMessage = t('followUpMatrix', { count: answerData.ratings.length });
+    } else if (question.question_type === 'ranking') {
+      // Handle ranking questions
+      followUpMessage = t('followUpRanking', { answer: displayAnswer.split(' > ')[0] });
+    } else if (question.question_type === 'nps') {
+      // Handle Net Promoter Score questions
+      followUpMessage = t('followUpNps', { answer });
     } else if (question.question_type === 'text') {
       // Handle text questions
-      followUpMessage = 'Thank you for your response. Would you like to elaborate on your answer?\n\n';
+      followUpMessage = t('followUpText');
+    } else if (ATTACHMENT_QUESTION_TYPES.includes(question.question_type)) {
+      // Handle photo, document and location questions
+      followUpMessage = t('followUpAttachment');
     } else {
       // Default for any other question type
-      followUpMessage = `Thank you for your answer: "${answer}". Can you tell me more about your response?\n\n`;
+      followUpMessage = t('followUpAnswer', { answer: displayAnswer });
     }
-    
+
+    // An adaptive or custom probe configured for the question replaces the default wording
+    const probe = await chooseFollowUpProbe(client, session, localized, displayAnswer, followUpMessage);
+    await saveCurrentProbe(client, session.id, probe, 1);
     // Add instructions for follow-up
-    followUpMessage += 'You can:\n';
-    followUpMessage += '🎤 Send a voice message (I\'ll transcribe it)\n';
-    followUpMessage += '💬 Type your response\n';
-    followUpMessage += '⏭️ Type \'skip\' to continue\n\n';
-    followUpMessage += 'I\'d love to hear your thoughts!';
+    followUpMessage = t('followUpPrompt', {
+      probe: probe.text,
+      instructions: t('followUpInstructions', { skip: t('skipKeyword') }),
+      skip: t('skipKeyword')
+    });
     
     await message.reply(followUpMessage);
     // IMPORTANT: Return here to prevent moving to next question
@@ -895,53 +4697,243 @@ async function processResponse(session, message) {
         await sendQuestion(session, message);
       } catch (sendError) {
         logger.error('Error sending next question after duplicate', sendError);
-        await message.reply('Sorry, something went wrong. Please try again.');
+        await message.reply((await getErrorTranslator(session))('tryAgain'));
       }
     } else {
-      await message.reply('Sorry, something went wrong. Please try again.');
+      await message.reply((await getErrorTranslator(session))('tryAgain'));
     }
   } finally {
     client.release();
   }
 }
 
+// Follow-up policy modes: always probe, never probe, probe only for chosen
+// answers, or probe only when a numeric answer falls within a range
+const FOLLOW_UP_MODES = ['always', 'never', 'options', 'range'];
+
+// Question types whose answers can be matched against a list of options
+const FOLLOW_UP_OPTION_TYPES = ['multiple', 'curated', 'multiselect', 'ranking', 'yesno'];
+
+// Question types with a numeric answer that a range policy can check
+const FOLLOW_UP_RANGE_TYPES = ['likert', 'nps', 'number', 'matrix'];
+
+// Parse the follow-up policy stored with a question. Questions without one
+// keep the original behaviour of always asking for more detail.
+function getFollowUpPolicy(question) {
+  let policy = question.follow_up;
+
+  if (typeof policy === 'string') {
+    try {
+      policy = JSON.parse(policy);
+    } catch (e) {
+      logger.error('Invalid follow-up policy for question', {
+        questionId: question.id,
+        followUp: question.follow_up
+      });
+      policy = null;
+    }
+  }
+
+  if (!policy || !FOLLOW_UP_MODES.includes(policy.mode)) {
+    return { mode: 'always', ...(policy && policy.prompt ? { prompt: policy.prompt } : {}) };
+  }
+
+  return policy;
+}
+
+// Decide whether an answer should be followed by a probe
+function shouldAskFollowUp(question, answer, answerData) {
+  const policy = getFollowUpPolicy(question);
+
+  switch (policy.mode) {
+    case 'never':
+      return false;
+
+    case 'options': {
+      const triggers = (policy.options || []).map(option => String(option).trim().toLowerCase());
+      const answers = answerData && answerData.selected ? answerData.selected : [getRoutingAnswer(answer, answerData)];
+      return answers.some(item => triggers.includes(String(item).trim().toLowerCase()));
+    }
+
+    case 'range': {
+      // Matrix questions probe when any statement's rating is in range
+      const values = answerData && answerData.ratings
+        ? answerData.ratings
+        : [answerData && typeof answerData.value === 'number' ? answerData.value : parseFloat(answer)];
+      const min = typeof policy.min === 'number' ? policy.min : -Infinity;
+      const max = typeof policy.max === 'number' ? policy.max : Infinity;
+      return values.some(value => !isNaN(value) && value >= min && value <= max);
+    }
+
+    default:
+      return true;
+  }
+}
+
+// Move straight on to the next question, reloading the session so the
+// routing decision for the answer just saved is picked up
+async function advanceToNextQuestion(client, session, message) {
+  const result = await client.query('SELECT * FROM sessions WHERE id = $1', [session.id]);
+  await sendQuestion(result.rows[0] || session, message);
+}
+
+// Check follow-up policies in a new survey's questions.
+// Returns an error message, or null when every policy is valid.
+function validateFollowUpPolicies(questions) {
+  for (let i = 0; i < questions.length; i++) {
+    const policy = questions[i].followUp;
+    if (!policy) continue;
+
+    if (!FOLLOW_UP_MODES.includes(policy.mode)) {
+      return `Question ${i + 1}: unknown follow-up mode "${policy.mode}"`;
+    }
+
+    if (policy.adaptive && policy.maxProbes !== undefined &&
+        !(Number.isInteger(policy.maxProbes) && policy.maxProbes >= 1 && policy.maxProbes <= MAX_PROBES_LIMIT)) {
+      return `Question ${i + 1}: the number of follow-up probes must be between 1 and ${MAX_PROBES_LIMIT}`;
+    }
+
+    if (policy.mode === 'options') {
+      if (!FOLLOW_UP_OPTION_TYPES.includes(questions[i].type)) {
+        return `Question ${i + 1}: follow-ups for specific answers need a choice or yes/no question`;
+      }
+      if (!Array.isArray(policy.options) || policy.options.length === 0) {
+        return `Question ${i + 1}: choose at least one answer that triggers the follow-up`;
+      }
+    }
+
+    if (policy.mode === 'range') {
+      if (!FOLLOW_UP_RANGE_TYPES.includes(questions[i].type)) {
+        return `Question ${i + 1}: follow-ups for a range of values need a rating, NPS, number or matrix question`;
+      }
+      if (typeof policy.min !== 'number' && typeof policy.max !== 'number') {
+        return `Question ${i + 1}: set a minimum or maximum value for the follow-up range`;
+      }
+      if (typeof policy.min === 'number' && typeof policy.max === 'number' && policy.min > policy.max) {
+        return `Question ${i + 1}: the follow-up range minimum cannot be greater than its maximum`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Insert or update a single response row. Matrix questions store one row per
+// statement (sub_item 1..n); every other question uses sub_item 0.
+async function saveResponse(client, session, questionId, subItem, answer, answerData, voiceMetadata) {
+  const existingResponse = await client.query(
+    'SELECT id FROM responses WHERE survey_id = $1 AND participant_id = $2 AND question_id = $3 AND sub_item = $4',
+    [session.survey_id, session.participant_id, questionId, subItem]
+  );
+  
+  if (existingResponse.rows.length > 0) {
+    // Keep the previous answer in the revision history before replacing it
+    await client.query(
+      `INSERT INTO response_revisions
+         (response_id, survey_id, participant_id, question_id, sub_item, answer, answer_data,
+          follow_up_comment, follow_up_probes, voice_metadata, answered_at)
+       SELECT id, survey_id, participant_id, question_id, sub_item, answer, answer_data,
+              follow_up_comment, follow_up_probes, voice_metadata, created_at
+       FROM responses WHERE id = $1`,
+      [existingResponse.rows[0].id]
+    );
+
+    // Update existing response instead of inserting
+    await client.query(
+      `UPDATE responses
+       SET answer = $1, answer_data = $2, voice_metadata = $3,
+           follow_up_comment = NULL, follow_up_probes = NULL, created_at = CURRENT_TIMESTAMP
+       WHERE id = $4`,
+      [answer, answerData ? JSON.stringify(answerData) : null, voiceMetadata ? JSON.stringify(voiceMetadata) : null, existingResponse.rows[0].id]
+    );
+    logger.info(`Updated existing response for participant ${session.participant_id}, question ${questionId}`);
+  } else {
+    // Insert new response
+    await client.query(
+      'INSERT INTO responses (survey_id, participant_id, question_id, sub_item, answer, answer_data, voice_metadata) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+      [session.survey_id, session.participant_id, questionId, subItem, answer, answerData ? JSON.stringify(answerData) : null, voiceMetadata ? JSON.stringify(voiceMetadata) : null]
+    );
+  }
+}
+
+// Save a validated answer, splitting matrix answers into one row per statement
+async function saveAnswer(client, session, question, answer, answerData, voiceMetadata) {
+  if (question.question_type === 'matrix' && answerData && answerData.ratings) {
+    const statements = getMatrixStatements(question);
+    for (let i = 0; i < answerData.ratings.length; i++) {
+      await saveResponse(client, session, question.id, i + 1, String(answerData.ratings[i]), {
+        value: answerData.ratings[i],
+        statement: statements[i]
+      }, voiceMetadata);
+    }
+    return;
+  }
+
+  await saveResponse(client, session, question.id, 0, answer, answerData, voiceMetadata);
+}
+
 // Handle voice confirmation
 async function handleVoiceConfirmation(session, message, client) {
   try {
     const response = message.body.trim();
     const sessionData = session.session_data || {};
     const pendingResponse = sessionData.pendingVoiceResponse;
+    const { language, t } = await getSessionLocale(client, session);
     
     if (!pendingResponse) {
-      await message.reply('Sorry, I lost track of your response. Please answer the question again.');
+      await message.reply(t('voiceLost'));
       await client.query('UPDATE sessions SET stage = $1 WHERE id = $2', ['survey', session.id]);
-      return;
-    }
-    
-    if (response === '1' || response.toLowerCase() === 'yes') {
-      // Save the transcribed response
-      await client.query(
-        'INSERT INTO responses (survey_id, participant_id, question_id, answer, voice_metadata) VALUES ($1, $2, $3, $4, $5)',
-        [session.survey_id, session.participant_id, pendingResponse.questionId, pendingResponse.answer, JSON.stringify(pendingResponse.voiceMetadata)]
-      );
-      
-      // Get question details for proper acknowledgment
+      return;
+    }
+    
+    if (response === '1' || response.toLowerCase() === 'yes' || response.toLowerCase() === t('yes').toLowerCase()) {
+      // Get question details for saving and proper acknowledgment
       const questionResult = await client.query(
         'SELECT * FROM questions WHERE id = $1',
         [pendingResponse.questionId]
       );
-      const question = questionResult.rows[0];
-      
+      const question = questionResult.rows[0]
+        ? withQuestionPosition(session, questionResult.rows[0])
+        : { id: pendingResponse.questionId };
+
+      // Save the transcribed response
+      await saveAnswer(client, session, question, pendingResponse.answer, pendingResponse.answerData, pendingResponse.voiceMetadata);
+
+      if (question.question_type) {
+        await applyRouting(client, session, question, getRoutingAnswer(pendingResponse.answer, pendingResponse.answerData));
+      }
+
+      // Broadcast response
+      io.emit('new-response', {
+        surveyId: session.survey_id,
+        participantId: session.participant_id,
+        phoneNumber: session.phone_number,
+        answer: pendingResponse.answer,
+        isVoice: true,
+        timestamp: new Date().toISOString()
+      });
+
+      if (question.question_type && !shouldAskFollowUp(question, pendingResponse.answer, pendingResponse.answerData)) {
+        // No probe for this answer: clear pending response and continue
+        await client.query(
+          'UPDATE sessions SET stage = $1, session_data = session_data - $2 WHERE id = $3',
+          ['survey', 'pendingVoiceResponse', session.id]
+        );
+        await message.reply(t('voiceSaved'));
+        await advanceToNextQuestion(client, session, message);
+        return;
+      }
+
       // Create acknowledgment based on answer and question type
-      let acknowledgment = 'Thank you for your response.';
+      let acknowledgment = t('acknowledgeResponse');
       if (question && question.question_type === 'curated') {
         const formattedAnswer = pendingResponse.answer.toLowerCase();
         if (formattedAnswer.includes('agree')) {
-          acknowledgment = 'Thank you for sharing that you agree with the statement.';
+          acknowledgment = t('acknowledgeAgree');
         } else if (formattedAnswer.includes('disagree')) {
-          acknowledgment = 'Thank you for sharing that you disagree with the statement.';
+          acknowledgment = t('acknowledgeDisagree');
         } else if (formattedAnswer.includes('neutral') || formattedAnswer.includes('undecided')) {
-          acknowledgment = 'Thank you for sharing that you\'re undecided about this statement.';
+          acknowledgment = t('acknowledgeUndecided');
         }
       }
       
@@ -951,49 +4943,61 @@ async function handleVoiceConfirmation(session, message, client) {
         ['followup', 'pendingVoiceResponse', pendingResponse.questionId.toString(), session.id]
       );
       
-      // Broadcast response
-      io.emit('new-response', {
-        surveyId: session.survey_id,
-        participantId: session.participant_id,
-        phoneNumber: session.phone_number,
-        answer: pendingResponse.answer,
-        isVoice: true,
-        timestamp: new Date().toISOString()
+      // Ask follow-up question with acknowledgment, or the question's adaptive or custom probe
+      const localized = question.question_type ? localizeQuestion(question, language) : question;
+      const probe = await chooseFollowUpProbe(client, session, localized,
+        question.question_type ? localizeAnswer(question, localized, pendingResponse.answer, pendingResponse.answerData, t) : pendingResponse.answer,
+        `${acknowledgment} ${t('tellMeMore')}`);
+      await saveCurrentProbe(client, session.id, probe, 1);
+      const followUpMessage = t('followUpPrompt', {
+        probe: probe.text,
+        instructions: t('followUpInstructions', { skip: t('skipKeyword') }),
+        skip: t('skipKeyword')
       });
       
-      // Ask follow-up question with acknowledgment
-      let followUpMessage = acknowledgment + ' Can you tell me more about your response?\n\n';
-      followUpMessage += 'You can:\n';
-      followUpMessage += '🎤 Send a voice message (I\'ll transcribe it)\n';
-      followUpMessage += '💬 Type your response\n';
-      followUpMessage += '⏭️ Type \'skip\' to continue\n\n';
-      followUpMessage += 'I\'d love to hear your thoughts!';
-      
       await message.reply(followUpMessage);
-    } else if (response === '2' || response.toLowerCase() === 'no') {
+    } else if (response === '2' || response.toLowerCase() === 'no' || response.toLowerCase() === t('no').toLowerCase()) {
       // Clear pending response and ask to try again
       await client.query(
         'UPDATE sessions SET stage = $1, session_data = session_data - $2 WHERE id = $3',
         ['survey', 'pendingVoiceResponse', session.id]
       );
       
-      await message.reply('No problem! Please send your voice message again or type your answer.');
+      await message.reply(t('voiceRetry'));
     } else {
-      await message.reply('Please reply with:\n1. Yes\n2. No, let me try again');
+      await message.reply(t('voiceConfirmInvalid', { yes: t('yes'), no: t('no') }));
     }
   } catch (error) {
     logger.error('Error in handleVoiceConfirmation', error);
-    await message.reply('Sorry, something went wrong. Please try again.');
+    await message.reply((await getErrorTranslator(session))('tryAgain'));
   }
 }
 
 // Handle follow-up responses
 async function handleFollowupResponse(session, message, client) {
   try {
-    if (message.body.toLowerCase() === 'skip') {
+    const { language, t } = await getSessionLocale(client, session);
+    // A tap on an earlier question's button or list row isn't a follow-up
+    // answer: ask the follow-up again
+    if (message.type === 'buttons_response' || message.type === 'list_response') {
+      const currentProbe = (session.session_data || {}).currentProbe;
+      await message.reply(t('invalidAnswer', { error: t('staleSelection') }));
+      await message.reply(t('followUpPrompt', {
+        probe: currentProbe ? currentProbe.text : t('tellMeMore'),
+        instructions: t('followUpInstructions', { skip: t('skipKeyword') }),
+        skip: t('skipKeyword')
+      }));
+      return;
+    }
+    
+    const reply = message.body.toLowerCase().trim();
+    if (reply === 'skip' || reply === t('skipKeyword').toLowerCase()) {
       // Acknowledge skip and move to next question
-      await message.reply('No problem! Let\'s continue with the next question.');
-      await client.query('UPDATE sessions SET stage = $1 WHERE id = $2', ['survey', session.id]);
+      await message.reply(t('followUpSkipped'));
+      await client.query(
+        `UPDATE sessions SET stage = $1, session_data = COALESCE(session_data, '{}') - 'currentProbe' - 'probeCount' WHERE id = $2`,
+        ['survey', session.id]
+      );
       await sendQuestion(session, message);
       return;
     }
@@ -1005,7 +5009,7 @@ async function handleFollowupResponse(session, message, client) {
     if (message.hasMedia && message.type === 'ptt') {
       const media = await message.downloadMedia();
       if (isOpenAIConfigured) {
-        const transcription = await transcribeVoice(media);
+        const transcription = await transcribeVoice(media, language);
         followUpComment = transcription || 'Voice follow-up (transcription failed)';
         voiceMetadata = { 
           duration: message.duration || 0,
@@ -1013,32 +5017,72 @@ async function handleFollowupResponse(session, message, client) {
         };
         
         if (transcription) {
-          await message.reply(`I heard: "${transcription}"\n\nThank you for sharing your thoughts! 🙏`);
+          await message.reply(`${t('voiceHeard', { text: transcription })}\n\n${t('followUpThanks')}`);
         }
       }
     } else {
-      await message.reply('Thank you for sharing your thoughts! 🙏');
+      await message.reply(t('followUpThanks'));
     }
     
     // Update the last response with follow-up
-    const lastQuestionId = session.session_data?.lastQuestionId;
+    const sessionData = session.session_data || {};
+    const lastQuestionId = sessionData.lastQuestionId;
+    const probeCount = sessionData.probeCount || 1;
+    const currentProbe = sessionData.currentProbe;
+    const probes = [];
     if (lastQuestionId) {
-      await client.query(
-        'UPDATE responses SET follow_up_comment = $1 WHERE survey_id = $2 AND participant_id = $3 AND question_id = $4',
-        [followUpComment, session.survey_id, session.participant_id, lastQuestionId]
+      // The first follow-up answer is kept as the response's comment; every
+      // probe/answer pair is also recorded in order
+      const probeEntry = currentProbe ? [{
+        probe: currentProbe.text,
+        answer: followUpComment,
+        provider: currentProbe.provider,
+        askedAt: currentProbe.askedAt
+      }] : [];
+      const probeResult = await client.query(
+        // Matrix questions keep the comment on their first statement's row
+        `UPDATE responses
+         SET follow_up_comment = CASE WHEN $5 <= 1 THEN $1 ELSE follow_up_comment END,
+             follow_up_probes = COALESCE(follow_up_probes, '[]'::jsonb) || $6::jsonb
+         WHERE survey_id = $2 AND participant_id = $3 AND question_id = $4 AND sub_item <= 1
+         RETURNING follow_up_probes`,
+        [followUpComment, session.survey_id, session.participant_id, lastQuestionId, probeCount, JSON.stringify(probeEntry)]
+      );
+      if (probeResult.rows[0] && probeResult.rows[0].follow_up_probes) {
+        probes.push(...probeResult.rows[0].follow_up_probes);
+      }
+    }
+
+    // Adaptive probing can dig further until the question's probe limit is reached
+    const question = lastQuestionId ? await getQuestionById(client, lastQuestionId) : null;
+    if (question && probeCount < getMaxProbes(question)) {
+      const previousAnswer = await client.query(
+        'SELECT answer FROM responses WHERE survey_id = $1 AND participant_id = $2 AND question_id = $3 ORDER BY sub_item LIMIT 1',
+        [session.survey_id, session.participant_id, lastQuestionId]
       );
+      const nextProbe = await generateAdaptiveProbe(client, session, localizeQuestion(question, language),
+        previousAnswer.rows[0] ? previousAnswer.rows[0].answer : '', probes);
+
+      if (nextProbe) {
+        await saveCurrentProbe(client, session.id, nextProbe, probeCount + 1);
+        await message.reply(`${nextProbe.text}\n\n${t('skipHint', { skip: t('skipKeyword') })}`);
+        return;
+      }
     }
     
     // Small delay for better conversation flow
     await new Promise(resolve => setTimeout(resolve, 1000));
     
     // Move to next question
-    await client.query('UPDATE sessions SET stage = $1 WHERE id = $2', ['survey', session.id]);
+    await client.query(
+      `UPDATE sessions SET stage = $1, session_data = COALESCE(session_data, '{}') - 'currentProbe' - 'probeCount' WHERE id = $2`,
+      ['survey', session.id]
+    );
     await sendQuestion(session, message);
     
   } catch (error) {
     logger.error('Error in handleFollowupResponse', error);
-    await message.reply('Sorry, something went wrong. Please try again.');
+    await message.reply((await getErrorTranslator(session))('tryAgain'));
   }
 }
 
@@ -1046,38 +5090,95 @@ async function handleFollowupResponse(session, message, client) {
 async function completeSurvey(session, message) {
   const client = await pool.connect();
   try {
-    // Calculate duration
-    const startTime = await client.query(
-      'SELECT started_at FROM survey_participants WHERE survey_id = $1 AND participant_id = $2',
-      [session.survey_id, session.participant_id]
-    );
-    
-    const duration = startTime.rows[0] ? 
-      Math.floor((new Date() - new Date(startTime.rows[0].started_at)) / 1000) : 0;
+    let completion = null;
+    try {
+      // Completions of a survey are serialized on its row so that two
+      // participants finishing at once can't overshoot a quota
+      await client.query('BEGIN');
+      const surveyResult = await client.query(
+        'SELECT quotas FROM surveys WHERE id = $1 FOR UPDATE',
+        [session.survey_id]
+      );
+      const quotas = surveyResult.rows[0] && surveyResult.rows[0].quotas;
+      
+      if (!quotas || !await isOverQuota(client, session.survey_id, session.participant_id)) {
+        // Calculate duration
+        const startTime = await client.query(
+          'SELECT started_at FROM survey_participants WHERE survey_id = $1 AND participant_id = $2',
+          [session.survey_id, session.participant_id]
+        );
+        
+        const duration = startTime.rows[0] ? 
+          Math.floor((new Date() - new Date(startTime.rows[0].started_at)) / 1000) : 0;
+        
+        // Update session
+        await client.query(
+          'UPDATE sessions SET stage = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+          ['completed', session.id]
+        );
+        
+        // Update survey_participants
+        await client.query(
+          'UPDATE survey_participants SET completed_at = CURRENT_TIMESTAMP, is_completed = true, completion_duration_seconds = $1 WHERE survey_id = $2 AND participant_id = $3',
+          [duration, session.survey_id, session.participant_id]
+        );
+        
+        const capReached = quotas && quotas.maxCompletes &&
+          (await getQuotaFill(client, session.survey_id, { maxCompletes: quotas.maxCompletes })).completes >= quotas.maxCompletes;
+        
+        // Claim the participant's voucher as part of the completion
+        const voucher = await assignVoucher(client, session.survey_id, session.participant_id);
+        completion = { duration, capReached, voucher };
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
     
-    // Update session
-    await client.query(
-      'UPDATE sessions SET stage = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-      ['completed', session.id]
-    );
+    if (!completion) {
+      await stopOverQuota(client, session, message);
+      return;
+    }
+    const { duration, capReached, voucher } = completion;
     
-    // Update survey_participants
-    await client.query(
-      'UPDATE survey_participants SET completed_at = CURRENT_TIMESTAMP, is_completed = true, completion_duration_seconds = $1 WHERE survey_id = $2 AND participant_id = $3',
-      [duration, session.survey_id, session.participant_id]
-    );
+    if (capReached) {
+      await deactivateFullSurvey(client, session.survey_id);
+    }
     
-    // Send completion message
-    await message.reply('🎉 Thank you for completing the survey! Your responses have been recorded.\n\nHave a great day! 😊');
+    // The completion is saved by now, so a failed reply is only logged
+    try {
+      // Send completion message
+      const { t } = await getSessionLocale(client, session);
+      const context = await getTemplateContext(client, session);
+      await message.reply(renderTemplate(t('completion', { title: context.survey_title }), context));
+      
+      // Send the voucher once; if the reply fails, sent_at stays empty and
+      // processIdleSessions sends it again
+      if (voucher && !voucher.sent_at) {
+        await message.reply(await getVoucherMessage(client, session, voucher.code));
+        await client.query(
+          'UPDATE voucher_codes SET sent_at = CURRENT_TIMESTAMP WHERE id = $1',
+          [voucher.id]
+        );
+      }
+      const voucherCounts = await checkVoucherPool(client, session.survey_id);
+      if (!voucher && voucherCounts.total > 0) {
+        await message.reply(t('voucherUnavailable'));
+        logger.warn(`Voucher pool for survey ${session.survey_id} is empty; participant ${session.participant_id} got no code`);
+      }
+    } catch (error) {
+      logger.error('Error sending completion messages', { sessionId: session.id, error: error.message });
+    }
     
     // Broadcast completion
     io.emit('survey-completed', {
       participant: session.phone_number,
       surveyId: session.survey_id,
       duration: duration,
+      voucherIssued: Boolean(voucher),
       timestamp: new Date().toISOString()
     });
-    
   } finally {
     client.release();
   }
@@ -1118,7 +5219,14 @@ app.get('/api/surveys', async (req, res) => {
       SELECT s.*, 
              COUNT(DISTINCT q.id) as question_count,
              COUNT(DISTINCT sp.participant_id) as participant_count,
-             COUNT(DISTINCT CASE WHEN sp.is_completed THEN sp.participant_id END) as completed_count
+             COUNT(DISTINCT CASE WHEN sp.is_completed THEN sp.participant_id END) as completed_count,
+             COUNT(DISTINCT CASE WHEN sp.consent_status = 'declined' THEN sp.participant_id END) as declined_count,
+             COUNT(DISTINCT CASE WHEN sp.disqualified_at IS NOT NULL THEN sp.participant_id END) as disqualified_count,
+             COUNT(DISTINCT CASE WHEN sp.over_quota_at IS NOT NULL THEN sp.participant_id END) as over_quota_count,
+             (SELECT COUNT(DISTINCT ss.participant_id) FROM sessions ss WHERE ss.survey_id = s.id AND ss.stage = 'abandoned') as abandoned_count,
+             (SELECT COUNT(DISTINCT ss.participant_id) FROM sessions ss WHERE ss.survey_id = s.id AND ss.stage = 'opted_out') as opted_out_count,
+             (SELECT COUNT(*) FROM voucher_codes v WHERE v.survey_id = s.id) as voucher_total,
+             (SELECT COUNT(v.issued_at) FROM voucher_codes v WHERE v.survey_id = s.id) as voucher_issued
       FROM surveys s
       LEFT JOIN questions q ON s.id = q.survey_id
       LEFT JOIN survey_participants sp ON s.id = sp.survey_id
@@ -1126,6 +5234,16 @@ app.get('/api/surveys', async (req, res) => {
       ORDER BY s.created_at DESC
     `);
     
+    // Quota fill for the dashboard's progress bars
+    for (const survey of result.rows) {
+      if (survey.quotas) {
+        survey.quota_fill = await getQuotaFill(client, survey.id, survey.quotas);
+      }
+      const voucherTotal = parseInt(survey.voucher_total);
+      survey.voucher_low = voucherTotal > 0 &&
+        voucherTotal - parseInt(survey.voucher_issued) <= VOUCHER_LOW_THRESHOLD;
+    }
+    
     res.json(result.rows);
   } catch (error) {
     logger.error('Error fetching surveys', error);
@@ -1139,35 +5257,97 @@ app.get('/api/surveys', async (req, res) => {
 app.post('/api/surveys', async (req, res) => {
   const client = await pool.connect();
   try {
-    const { title, description, estimatedTime, questions } = req.body;
+    const { title, description, estimatedTime, goal, questions, translations, randomization, consent, screening, quotas, reminders, keyword, commands, messages } = req.body;
+    const languages = req.body.languages || ['en'];
     
     if (!title || !questions || questions.length === 0) {
       return res.status(400).json({ error: 'Title and questions are required' });
     }
-    
+
+    const validationError = validateQuestionSettings(questions) ||
+      validateSurveyRouting(questions) ||
+      validateFollowUpPolicies(questions) ||
+      validateSurveyTranslations(languages, translations, questions) ||
+      validateAnswerPiping(questions, translations) ||
+      validateRandomization(questions, randomization) ||
+      validateConsentAndScreening(consent, screening, languages, translations) ||
+      validateQuotas(quotas, screening) ||
+      validateReminders(reminders) ||
+      validateSurveyKeyword(keyword) ||
+      validateSurveyCommands(commands) ||
+      validateMessageTemplates(messages, questions.length);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Keywords route inbound messages, so no two surveys can share one
+    const surveyKeyword = keyword ? keyword.trim().toUpperCase() : null;
+    if (surveyKeyword) {
+      const keywordResult = await client.query('SELECT title FROM surveys WHERE UPPER(keyword) = $1', [surveyKeyword]);
+      if (keywordResult.rows.length > 0) {
+        return res.status(400).json({ error: `The keyword ${surveyKeyword} is already used by "${keywordResult.rows[0].title}"` });
+      }
+    }
+
+    // Attached media must have been uploaded through /api/media first
+    const mediaIds = questions.filter(question => question.mediaId).map(question => parseInt(question.mediaId));
+    if (mediaIds.length > 0) {
+      const mediaResult = await client.query('SELECT id FROM media_files WHERE id = ANY($1)', [mediaIds]);
+      const found = new Set(mediaResult.rows.map(row => row.id));
+      const missing = questions.findIndex(question => question.mediaId && !found.has(parseInt(question.mediaId)));
+      if (missing !== -1) {
+        return res.status(400).json({ error: `Question ${missing + 1}: attached media was not found, please upload it again` });
+      }
+    }
+
     await client.query('BEGIN');
     
     const surveyId = Date.now().toString();
     const participantPrefix = title.toUpperCase().replace(/[^A-Z0-9]/g, '').substring(0, 10) || 'SURVEY';
     
-    // Insert survey
+    // Insert survey. The consent version defaults to a fingerprint of the
+    // text, so each participant's record shows exactly which wording they agreed to
+    const consentText = consent && consent.text ? consent.text.trim() : '';
     await client.query(
-      'INSERT INTO surveys (id, title, description, estimated_time, participant_prefix) VALUES ($1, $2, $3, $4, $5)',
-      [surveyId, title, description || '', estimatedTime || '3-5 minutes', participantPrefix]
+      'INSERT INTO surveys (id, title, description, estimated_time, goal, languages, translations, randomization, consent, screening, quotas, reminders, keyword, commands, messages, participant_prefix) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)',
+      [surveyId, title, description || '', estimatedTime || '3-5 minutes', goal || null, JSON.stringify(languages), JSON.stringify(translations || {}), JSON.stringify({
+        questions: !!(randomization && randomization.questions),
+        options: !!(randomization && randomization.options)
+      }), consentText ? JSON.stringify({
+        text: consentText,
+        version: (consent.version && String(consent.version).trim()) ||
+          crypto.createHash('sha256').update(consentText).digest('hex').substring(0, 12)
+      }) : null, screening && screening.questions && screening.questions.length > 0 ? JSON.stringify({
+        questions: screening.questions,
+        disqualifyMessage: screening.disqualifyMessage || null
+      }) : null, quotas && (quotas.maxCompletes || (quotas.segments || []).length > 0) ? JSON.stringify({
+        maxCompletes: quotas.maxCompletes ? parseInt(quotas.maxCompletes) : null,
+        segments: (quotas.segments || []).map(segment => ({
+          label: segment.label || segment.answers.join(' / '),
+          screener: parseInt(segment.screener),
+          answers: segment.answers,
+          limit: parseInt(segment.limit)
+        }))
+      }) : null, JSON.stringify(reminders || {}), surveyKeyword, JSON.stringify(commands || {}), JSON.stringify(getFilledTemplates(messages)), participantPrefix]
     );
     
     // Insert questions
     for (let i = 0; i < questions.length; i++) {
       const question = questions[i];
       await client.query(
-        'INSERT INTO questions (survey_id, question_number, question_type, question_text, options, scale) VALUES ($1, $2, $3, $4, $5, $6)',
+        'INSERT INTO questions (survey_id, question_number, question_type, question_text, options, scale, settings, routing, follow_up, translations, media_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)',
         [
           surveyId,
           i + 1,
           question.type,
           question.question,
           question.options ? JSON.stringify(question.options) : null,
-          question.scale ? JSON.stringify(question.scale) : null
+          question.scale ? JSON.stringify(question.scale) : null,
+          question.settings ? JSON.stringify(question.settings) : null,
+          question.routing && question.routing.length > 0 ? JSON.stringify(question.routing) : null,
+          question.followUp ? JSON.stringify(question.followUp) : null,
+          JSON.stringify(question.translations || {}),
+          question.mediaId ? parseInt(question.mediaId) : null
         ]
       );
     }
@@ -1187,16 +5367,84 @@ app.post('/api/surveys', async (req, res) => {
   }
 });
 
+// Upload a media file to attach to a question. The dashboard sends the file
+// base64-encoded: { filename, mimetype, data }
+app.post('/api/media', async (req, res) => {
+  const { filename, mimetype } = req.body;
+  // Accept data URLs as produced by FileReader.readAsDataURL
+  const data = typeof req.body.data === 'string' ? req.body.data.replace(/^data:[^,]*,/, '') : '';
+  const buffer = Buffer.from(data, 'base64');
+
+  const validationError = validateMediaUpload(filename, mimetype, buffer);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      'INSERT INTO media_files (filename, mimetype, size_bytes, data) VALUES ($1, $2, $3, $4) RETURNING id',
+      [filename.trim().substring(0, 255), mimetype, buffer.length, buffer]
+    );
+    const mediaId = result.rows[0].id;
+
+    logger.info(`Uploaded media ${mediaId} (${filename}, ${buffer.length} bytes)`);
+    res.json({
+      success: true,
+      media: { id: mediaId, filename, mimetype, size: buffer.length, url: `/api/media/${mediaId}` }
+    });
+  } catch (error) {
+    logger.error('Error uploading media', error);
+    res.status(500).json({ error: 'Failed to upload media' });
+  } finally {
+    client.release();
+  }
+});
+
+// Serve an uploaded media file, for previews in the dashboard and links in exports
+app.get('/api/media/:id', async (req, res) => {
+  const mediaId = parseInt(req.params.id);
+  if (isNaN(mediaId)) {
+    return res.status(404).json({ error: 'Media not found' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      'SELECT filename, mimetype, data FROM media_files WHERE id = $1',
+      [mediaId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    // Participants' attachments carry whatever type they were sent with, so
+    // only the image/video/audio types we know are shown in the browser;
+    // anything else (HTML, SVG...) is downloaded instead of rendered
+    const { filename, mimetype, data } = result.rows[0];
+    const inline = MEDIA_MIME_TYPES.has(String(mimetype).split(';')[0].trim().toLowerCase());
+    res.setHeader('Content-Type', inline ? mimetype : 'application/octet-stream');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    // A media id always refers to the same file
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename="${filename.replace(/[^\x20-\x7e]|["\\]/g, '_')}"`);
+    res.send(data);
+  } catch (error) {
+    logger.error('Error fetching media', error);
+    res.status(500).json({ error: 'Failed to fetch media' });
+  } finally {
+    client.release();
+  }
+});
+
 // Activate/deactivate survey
 app.post('/api/surveys/:id/activate', async (req, res) => {
   const client = await pool.connect();
   try {
     const { id } = req.params;
     
-    // Deactivate all other surveys
-    await client.query('UPDATE surveys SET is_active = false');
-    
-    // Activate this survey
+    // Several surveys can be active at once; participants pick one by keyword
     await client.query('UPDATE surveys SET is_active = true WHERE id = $1', [id]);
     
     await loadActiveSurveys();
@@ -1240,20 +5488,79 @@ app.get('/api/surveys/:id/responses', async (req, res) => {
   try {
     const { id } = req.params;
     
+    // Questions bypassed by routing or skipped by the participant are returned
+    // alongside answers so analytics can tell them apart from "not answered"
     const result = await client.query(`
-      SELECT 
+      SELECT
         q.question_text,
         q.question_type,
         q.question_number,
+        q.options,
+        q.scale,
+        q.media_id,
+        m.filename as media_filename,
+        m.mimetype as media_mimetype,
+        r.sub_item,
         r.answer,
+        r.answer_data,
         r.follow_up_comment,
         r.created_at,
-        p.participant_code
+        p.participant_code,
+        'answered' as response_status
       FROM responses r
       JOIN questions q ON r.question_id = q.id
       JOIN participants p ON r.participant_id = p.id
+      LEFT JOIN media_files m ON m.id = q.media_id
       WHERE r.survey_id = $1
-      ORDER BY q.question_number, r.created_at
+      UNION ALL
+      SELECT
+        q.question_text,
+        q.question_type,
+        q.question_number,
+        q.options,
+        q.scale,
+        q.media_id,
+        m.filename as media_filename,
+        m.mimetype as media_mimetype,
+        0 as sub_item,
+        NULL as answer,
+        NULL as answer_data,
+        NULL as follow_up_comment,
+        s.updated_at as created_at,
+        p.participant_code,
+        'skipped' as response_status
+      FROM sessions s
+      CROSS JOIN LATERAL jsonb_array_elements_text(COALESCE(s.session_data->'skippedQuestions', '[]'::jsonb)) AS skipped(question_id)
+      JOIN questions q ON q.id = skipped.question_id::integer
+      JOIN participants p ON s.participant_id = p.id
+      LEFT JOIN media_files m ON m.id = q.media_id
+      WHERE s.survey_id = $1
+        AND NOT EXISTS (SELECT 1 FROM responses r WHERE r.survey_id = s.survey_id AND r.participant_id = s.participant_id AND r.question_id = q.id)
+      UNION ALL
+      SELECT
+        q.question_text,
+        q.question_type,
+        q.question_number,
+        q.options,
+        q.scale,
+        q.media_id,
+        m.filename as media_filename,
+        m.mimetype as media_mimetype,
+        0 as sub_item,
+        NULL as answer,
+        NULL as answer_data,
+        NULL as follow_up_comment,
+        s.updated_at as created_at,
+        p.participant_code,
+        'declined' as response_status
+      FROM sessions s
+      CROSS JOIN LATERAL jsonb_array_elements_text(COALESCE(s.session_data->'declinedQuestions', '[]'::jsonb)) AS declined(question_id)
+      JOIN questions q ON q.id = declined.question_id::integer
+      JOIN participants p ON s.participant_id = p.id
+      LEFT JOIN media_files m ON m.id = q.media_id
+      WHERE s.survey_id = $1
+        AND NOT EXISTS (SELECT 1 FROM responses r WHERE r.survey_id = s.survey_id AND r.participant_id = s.participant_id AND r.question_id = q.id)
+      ORDER BY question_number, created_at, sub_item
     `, [id]);
     
     res.json(result.rows);
@@ -1282,35 +5589,78 @@ app.get('/api/surveys/:id/export', async (req, res) => {
     }
     
     const surveyTitle = surveyResult.rows[0].title;
+    // File links in the export point back at this server
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
     
-    // Get all responses with full details
+    // One row per participant and question, so unanswered and routed-past
+    // questions show up alongside the answers
     const result = await client.query(`
-      SELECT 
+      SELECT
         p.participant_code,
         p.phone_number,
+        s.language,
         q.question_number,
         q.question_type,
         q.question_text,
+        q.media_id,
+        m.filename as media_filename,
+        r.sub_item,
         r.answer,
+        r.answer_data,
         r.follow_up_comment,
+        r.follow_up_probes,
         r.voice_metadata,
         r.created_at as response_time,
+        (SELECT COUNT(*) FROM response_revisions rr WHERE rr.response_id = r.id) as revision_count,
         sp.started_at,
         sp.completed_at,
         sp.is_completed,
-        sp.completion_duration_seconds
-      FROM responses r
-      JOIN participants p ON r.participant_id = p.id
-      JOIN questions q ON r.question_id = q.id
-      JOIN survey_participants sp ON r.survey_id = sp.survey_id AND r.participant_id = sp.participant_id
-      WHERE r.survey_id = $1
-      ORDER BY p.participant_code, q.question_number
+        sp.completion_duration_seconds,
+        v.code as voucher_code,
+        s.session_data->'questionOrder' as question_order,
+        CASE
+          WHEN r.id IS NOT NULL THEN 'Answered'
+          WHEN COALESCE(s.session_data->'skippedQuestions', '[]'::jsonb) @> to_jsonb(q.id) THEN 'Skipped by logic'
+          WHEN COALESCE(s.session_data->'declinedQuestions', '[]'::jsonb) @> to_jsonb(q.id) THEN 'Skipped by participant'
+          ELSE 'Not answered'
+        END as response_status
+      FROM survey_participants sp
+      JOIN participants p ON sp.participant_id = p.id
+      JOIN questions q ON q.survey_id = sp.survey_id
+      LEFT JOIN media_files m ON m.id = q.media_id
+      LEFT JOIN responses r ON r.survey_id = sp.survey_id AND r.participant_id = sp.participant_id AND r.question_id = q.id
+      LEFT JOIN sessions s ON s.survey_id = sp.survey_id AND s.participant_id = sp.participant_id
+      LEFT JOIN voucher_codes v ON v.survey_id = sp.survey_id AND v.participant_id = sp.participant_id
+      WHERE sp.survey_id = $1
+      ORDER BY p.participant_code, q.question_number, r.sub_item
     `, [id]);
     
-    if (result.rows.length === 0) {
+    if (!result.rows.some(row => row.response_status === 'Answered')) {
       return res.status(404).json({ error: 'No responses found for this survey' });
     }
     
+    // Multi-select questions get one 0/1 column per option and ranking
+    // questions one rank column per option
+    const optionQuestionResult = await client.query(
+      `SELECT question_number, question_type, options FROM questions
+       WHERE survey_id = $1 AND question_type IN ('multiselect', 'ranking')
+       ORDER BY question_number`,
+      [id]
+    );
+    const optionColumns = [];
+    optionQuestionResult.rows.forEach(question => {
+      (question.options || []).forEach(option => {
+        optionColumns.push({ questionNumber: question.question_number, questionType: question.question_type, option });
+      });
+    });
+    
+    // Each probe/answer pair gets its own pair of columns
+    const probeColumnCount = Math.max(0, ...result.rows.map(row => (row.follow_up_probes || []).length));
+    const probeHeaders = [];
+    for (let i = 1; i <= probeColumnCount; i++) {
+      probeHeaders.push(`Probe ${i}`, `Probe ${i} Answer`);
+    }
+    
     // Create CSV content
     const csvRows = [];
     
@@ -1318,17 +5668,36 @@ app.get('/api/surveys/:id/export', async (req, res) => {
     const headers = [
       'Participant Code',
       'Phone Number',
+      'Language',
       'Question Number',
+      'Displayed Position',
       'Question Type',
       'Question',
+      'Question Media',
+      'Statement',
       'Answer',
+      'Attachment Link',
+      'Option Position',
+      'Match Method',
+      'Numeric Value',
+      'Date Value',
+      'Yes/No Value',
+      'NPS Category',
+      'Response Status',
       'Follow-up Comment',
+      ...probeHeaders,
       'Was Voice Response',
+      'Times Changed',
       'Response Time',
       'Survey Started',
       'Survey Completed',
       'Completion Status',
-      'Duration (seconds)'
+      'Duration (seconds)',
+      'Voucher Code',
+      ...optionColumns.map(column => {
+        const prefix = column.questionType === 'ranking' ? `Q${column.questionNumber} Rank` : `Q${column.questionNumber}`;
+        return `"${prefix}: ${String(column.option).replace(/"/g, '""')}"`;
+      })
     ];
     
     csvRows.push(headers.join(','));
@@ -1342,17 +5711,43 @@ app.get('/api/surveys/:id/export', async (req, res) => {
       const csvRow = [
         row.participant_code,
         row.phone_number,
+        row.language || '',
         row.question_number,
+        getQuestionPosition(row.question_order, row.question_number),
         row.question_type,
         `"${(row.question_text || '').replace(/"/g, '""')}"`, // Escape quotes in question text
+        `"${(row.media_id ? `${row.media_filename} (${baseUrl}/api/media/${row.media_id})` : '').replace(/"/g, '""')}"`,
+        `"${(row.answer_data && row.answer_data.statement ? row.answer_data.statement : '').replace(/"/g, '""')}"`, // Matrix statement
         `"${(row.answer || '').replace(/"/g, '""')}"`, // Escape quotes in answer
+        getAttachmentExportValue(row.answer_data, baseUrl),
+        getOptionPositionExportValue(row.answer_data),
+        row.answer_data && row.answer_data.match ? row.answer_data.match.method : '',
+        getNumericExportValue(row),
+        row.question_type === 'date' && row.answer_data ? row.answer_data.value : '',
+        row.question_type === 'yesno' && row.answer_data ? (row.answer_data.value ? 1 : 0) : '',
+        row.answer_data && row.answer_data.category ? row.answer_data.category : '',
+        row.response_status,
         `"${(row.follow_up_comment || '').replace(/"/g, '""')}"`, // Escape quotes in follow-up
+        ...getProbeExportValues(row.follow_up_probes, probeColumnCount),
         isVoiceResponse,
-        new Date(row.response_time).toISOString(),
+        row.response_status === 'Answered' ? row.revision_count : '',
+        row.response_time ? new Date(row.response_time).toISOString() : '',
         row.started_at ? new Date(row.started_at).toISOString() : '',
         row.completed_at ? new Date(row.completed_at).toISOString() : '',
         row.is_completed ? 'Completed' : 'In Progress',
-        row.completion_duration_seconds || ''
+        row.completion_duration_seconds || '',
+        `"${(row.voucher_code || '').replace(/"/g, '""')}"`,
+        ...optionColumns.map(column => {
+          if (column.questionNumber !== row.question_number || !row.answer_data) {
+            return '';
+          }
+          if (column.questionType === 'ranking') {
+            // Options left out of a top-N ranking stay blank
+            const rank = (row.answer_data.ranking || []).indexOf(column.option);
+            return rank === -1 ? '' : rank + 1;
+          }
+          return (row.answer_data.selected || []).includes(column.option) ? 1 : 0;
+        })
       ];
       
       csvRows.push(csvRow.join(','));
@@ -1369,7 +5764,7 @@ app.get('/api/surveys/:id/export', async (req, res) => {
     // Send CSV file
     res.send(csvContent);
     
-    logger.info(`Exported ${result.rows.length} responses for survey ${id}`);
+    logger.info(`Exported ${result.rows.length} response rows for survey ${id}`);
     
   } catch (error) {
     logger.error('Error exporting survey data', error);
@@ -1379,6 +5774,247 @@ app.get('/api/surveys/:id/export', async (req, res) => {
   }
 });
 
+// Quoted probe/answer CSV cells for a response, padded to the column count
+function getProbeExportValues(probes, columnCount) {
+  const values = [];
+  for (let i = 0; i < columnCount; i++) {
+    const entry = (probes || [])[i];
+    values.push(
+      `"${(entry ? entry.probe || '' : '').replace(/"/g, '""')}"`,
+      `"${(entry ? entry.answer || '' : '').replace(/"/g, '""')}"`
+    );
+  }
+  return values;
+}
+
+// Link to the photo or document sent as an answer, or a map link for a shared location
+function getAttachmentExportValue(answerData, baseUrl) {
+  if (!answerData) {
+    return '';
+  }
+  if (answerData.mediaId) {
+    return `${baseUrl}/api/media/${answerData.mediaId}`;
+  }
+  if (typeof answerData.latitude === 'number' && typeof answerData.longitude === 'number') {
+    return `https://www.google.com/maps?q=${answerData.latitude},${answerData.longitude}`;
+  }
+  return '';
+}
+
+// Displayed position of the chosen option(s) for the CSV export, recorded
+// when the options were shown in random order
+function getOptionPositionExportValue(answerData) {
+  if (!answerData) {
+    return '';
+  }
+  if (answerData.positions) {
+    return answerData.positions.join(' ');
+  }
+  return answerData.position || '';
+}
+
+// Numeric value of an answer for the CSV export, for question types that have one
+function getNumericExportValue(row) {
+  if (row.answer_data && typeof row.answer_data.value === 'number') {
+    return row.answer_data.value;
+  }
+  if ((row.question_type === 'likert' || row.question_type === 'nps' || row.question_type === 'matrix') && row.answer) {
+    const value = parseInt(row.answer);
+    return isNaN(value) ? '' : value;
+  }
+  return '';
+}
+
+// Set custom attributes on a participant, e.g. { "first_name": "Amina" },
+// for use as {{attr.first_name}} in questions and messages. Attributes are
+// merged with the existing ones; set a value to null to remove it.
+app.put('/api/participants/:phoneNumber/attributes', async (req, res) => {
+  const { attributes } = req.body;
+
+  if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+    return res.status(400).json({ error: 'attributes must be an object' });
+  }
+  const invalidName = Object.keys(attributes).find(name => !/^\w+$/.test(name));
+  if (invalidName) {
+    return res.status(400).json({ error: `"${invalidName}" is not a valid attribute name (use letters, numbers and _)` });
+  }
+
+  const client = await pool.connect();
+  try {
+    const participant = await getOrCreateParticipant(req.params.phoneNumber.replace(/[^\d]/g, ''));
+    const removed = Object.keys(attributes).filter(name => attributes[name] === null);
+    const result = await client.query(
+      `UPDATE participants
+       SET attributes = (COALESCE(attributes, '{}') || $1::jsonb) - $2::text[]
+       WHERE id = $3
+       RETURNING participant_code, attributes`,
+      [JSON.stringify(attributes), removed, participant.id]
+    );
+
+    res.json({ success: true, participant: result.rows[0] });
+  } catch (error) {
+    logger.error('Error updating participant attributes', error);
+    res.status(500).json({ error: 'Failed to update participant attributes' });
+  } finally {
+    client.release();
+  }
+});
+
+// Voucher pool for a survey: counts plus who was issued which code
+app.get('/api/surveys/:id/vouchers', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const surveyResult = await client.query('SELECT id FROM surveys WHERE id = $1', [id]);
+    if (surveyResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Survey not found' });
+    }
+
+    const counts = await getVoucherCounts(client, id);
+    const issuedResult = await client.query(
+      `SELECT v.code, v.issued_at, v.sent_at, p.participant_code
+       FROM voucher_codes v
+       LEFT JOIN participants p ON p.id = v.participant_id
+       WHERE v.survey_id = $1 AND v.issued_at IS NOT NULL
+       ORDER BY v.issued_at DESC`,
+      [id]
+    );
+
+    res.json({
+      ...counts,
+      lowThreshold: VOUCHER_LOW_THRESHOLD,
+      low: counts.total > 0 && counts.remaining <= VOUCHER_LOW_THRESHOLD,
+      issuedCodes: issuedResult.rows
+    });
+  } catch (error) {
+    logger.error('Error fetching vouchers', error);
+    res.status(500).json({ error: 'Failed to fetch vouchers' });
+  } finally {
+    client.release();
+  }
+});
+
+// Add codes to a survey's voucher pool. Codes come as an array or as text with
+// one code per line (commas also separate); codes already in the pool are skipped.
+app.post('/api/surveys/:id/vouchers', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const { codes } = req.body;
+    const list = Array.isArray(codes) ? codes : String(codes || '').split(/[\r\n,]+/);
+    const uniqueCodes = [...new Set(list.map(code => String(code).trim()).filter(Boolean))];
+
+    if (uniqueCodes.length === 0) {
+      return res.status(400).json({ error: 'No voucher codes given' });
+    }
+    const tooLong = uniqueCodes.find(code => code.length > 200);
+    if (tooLong) {
+      return res.status(400).json({ error: `Voucher code "${tooLong.slice(0, 20)}..." is longer than 200 characters` });
+    }
+
+    const surveyResult = await client.query('SELECT id FROM surveys WHERE id = $1', [id]);
+    if (surveyResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Survey not found' });
+    }
+
+    const result = await client.query(
+      `INSERT INTO voucher_codes (survey_id, code)
+       SELECT $1, code FROM unnest($2::text[]) AS code
+       ON CONFLICT (survey_id, code) DO NOTHING`,
+      [id, uniqueCodes]
+    );
+    const counts = await getVoucherCounts(client, id);
+
+    logger.info(`Added ${result.rowCount} voucher codes to survey ${id}`);
+    io.emit('vouchers-updated', { surveyId: id, ...counts });
+    res.json({
+      success: true,
+      added: result.rowCount,
+      skipped: uniqueCodes.length - result.rowCount,
+      ...counts
+    });
+  } catch (error) {
+    logger.error('Error adding vouchers', error);
+    res.status(500).json({ error: 'Failed to add vouchers' });
+  } finally {
+    client.release();
+  }
+});
+
+// Participant commands, for the builder's on/off switches
+app.get('/api/participant-commands', (req, res) => {
+  res.json(PARTICIPANT_COMMANDS.map(command => ({
+    name: command.name,
+    keyword: getCommandKeyword(command, 'en'),
+    required: Boolean(command.required),
+    description: SYSTEM_MESSAGES[command.description]
+  })));
+});
+
+// Message templates the builder offers, with their defaults and placeholders
+app.get('/api/message-templates', (req, res) => {
+  res.json(MESSAGE_TEMPLATES.map(template => ({
+    ...template,
+    defaultText: SYSTEM_MESSAGES[template.key]
+  })));
+});
+
+// Do-not-contact list. Numbers that opted back in are included with
+// ?includeOptedIn=true.
+app.get('/api/opt-outs', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT o.*, s.title as survey_title
+       FROM opt_outs o
+       LEFT JOIN surveys s ON s.id = o.survey_id
+       WHERE $1 OR o.opted_in_at IS NULL
+       ORDER BY o.opted_out_at DESC`,
+      [req.query.includeOptedIn === 'true']
+    );
+    res.json(result.rows);
+  } catch (error) {
+    logger.error('Error fetching opt-outs', error);
+    res.status(500).json({ error: 'Failed to fetch opt-outs' });
+  } finally {
+    client.release();
+  }
+});
+
+// Numbers are stored as WhatsApp ids: digits only, with the country code
+function normalizePhoneNumber(phoneNumber) {
+  return String(phoneNumber || '').replace(/[^\d]/g, '');
+}
+
+// Add a number to the do-not-contact list
+app.post('/api/opt-outs', async (req, res) => {
+  try {
+    const phoneNumber = normalizePhoneNumber(req.body.phoneNumber);
+    if (phoneNumber.length < 6) {
+      return res.status(400).json({ error: 'A phone number with country code is required' });
+    }
+
+    await optOut(phoneNumber, null, 'admin');
+    res.json({ success: true, phoneNumber });
+  } catch (error) {
+    logger.error('Error adding opt-out', error);
+    res.status(500).json({ error: 'Failed to add opt-out' });
+  }
+});
+
+// Take a number off the do-not-contact list
+app.delete('/api/opt-outs/:phoneNumber', async (req, res) => {
+  try {
+    if (!await optIn(normalizePhoneNumber(req.params.phoneNumber))) {
+      return res.status(404).json({ error: 'This number is not opted out' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error removing opt-out', error);
+    res.status(500).json({ error: 'Failed to remove opt-out' });
+  }
+});
+
 // Get survey statistics
 app.get('/api/stats', async (req, res) => {
   const client = await pool.connect();
@@ -1388,7 +6024,7 @@ app.get('/api/stats', async (req, res) => {
         (SELECT COUNT(*) FROM surveys) as total_surveys,
         (SELECT COUNT(*) FROM participants) as total_participants,
         (SELECT COUNT(*) FROM responses) as total_responses,
-        (SELECT title FROM surveys WHERE is_active = true LIMIT 1) as active_survey
+        (SELECT string_agg(title, ', ' ORDER BY created_at) FROM surveys WHERE is_active = true) as active_survey
     `);
     
     res.json(stats.rows[0]);
@@ -1402,12 +6038,14 @@ app.get('/api/stats', async (req, res) => {
 
 // OpenAI status
 app.get('/api/openai/status', (req, res) => {
+  const followUpProvider = getFollowUpProvider();
   res.json({ 
     configured: !!process.env.OPENAI_API_KEY,
     features: {
       voiceTranscription: !!process.env.OPENAI_API_KEY,
-      followUpQuestions: !!process.env.OPENAI_API_KEY
-    }
+      followUpQuestions: !!followUpProvider
+    },
+    followUpProvider: followUpProvider ? followUpProvider.name : null
   });
 });
 
@@ -1474,8 +6112,10 @@ io.on('connection', (socket) => {
   
   // Send current status
   socket.emit('whatsapp-ready', isClientReady);
+  const followUpProvider = getFollowUpProvider();
   socket.emit('openai-status', { 
-    configured: !!process.env.OPENAI_API_KEY 
+    configured: !!process.env.OPENAI_API_KEY,
+    followUpProvider: followUpProvider ? followUpProvider.name : null
   });
   
   if (qrCodeData) {
@@ -1504,7 +6144,7 @@ async function broadcastStats() {
         (SELECT COUNT(*) FROM surveys) as total_surveys,
         (SELECT COUNT(*) FROM participants) as total_participants,
         (SELECT COUNT(*) FROM responses) as total_responses,
-        (SELECT title FROM surveys WHERE is_active = true LIMIT 1) as active_survey
+        (SELECT string_agg(title, ', ' ORDER BY created_at) FROM surveys WHERE is_active = true) as active_survey
     `);
     
     io.emit('survey-stats', result.rows[0]);
@@ -1536,6 +6176,7 @@ app.get('/health', async (req, res) => {
       whatsapp: isClientReady,
       openai: !!process.env.OPENAI_API_KEY,
       database: dbResult.rows.length > 0,
+      messageQueue: getMessageQueueStats(),
       transport: io.engine ? io.engine.transport.name : 'unknown'
     });
   } catch (error) {
@@ -1612,6 +6253,13 @@ async function initialize() {
       });
     }, 30000);
     
+    // Nudge idle participants and close abandoned sessions
+    setInterval(() => {
+      processIdleSessions().catch(error => {
+        logger.error('Error processing idle sessions', error);
+      });
+    }, REMINDER_CHECK_MINUTES * 60 * 1000);
+    
   } catch (error) {
     logger.error('Failed to initialize application', error);
     process.exit(1);
@@ -24,7 +24,7 @@ async function verifyDatabase() {
     // 2. Check required tables
     const requiredTables = [
       'surveys', 'participants', 'questions', 
-      'survey_participants', 'sessions', 'responses'
+      'survey_participants', 'sessions', 'responses', 'response_revisions', 'media_files', 'opt_outs', 'voucher_codes'
     ];
     
     const tablesResult = await client.query(`